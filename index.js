@@ -6,18 +6,33 @@
  * Combined script that:
  * 1. Monitors TestFlight builds on Xcode Cloud and submits them to App Store review (deploy)
  * 2. Tags releases when they go live in the App Store (release sync)
+ * 3. Reports App Review rejections back to the build's PR (reject check)
  *
  * Usage:
- *   node index.js                    # Run both operations
+ *   node index.js                    # Run all operations
  *   node index.js deploy             # Run only deployment check
  *   node index.js sync               # Run only release sync
+ *   node index.js reject-check       # Run only rejection check
+ *   node index.js phased <action>    # Phased release: status, pause, resume or complete
+ *   node index.js release [version]  # Release the version pending developer release
+ *   node index.js submit <build> [--notes <text>] [--force]  # Submit a specific build for review
+ *   node index.js cancel-review [build]  # Withdraw the version waiting for or in review
+ *   node index.js history <build|version>  # Show what the tool did for a build or version
+ *   node index.js status [--json]    # Show review, TestFlight and live state without changing anything
+ *   node index.js metrics            # Print pipeline metrics in the Prometheus text format
+ *   node index.js doctor             # Check configuration and credentials end to end
+ *   node index.js workflows [--runs <n>]  # List Xcode Cloud products, workflows and recent build runs
+ *   node index.js daemon             # Keep running: reject-check, deploy and sync on intervals
+ *   node index.js webhook            # Run deploy/sync when App Store Connect webhooks arrive
+ *   node index.js webhook send <file>  # Post a signed sample payload to the local receiver
+ *   node index.js --app <key>        # Run only one app from the apps config file
  *   DRY_RUN=true node index.js       # Dry run mode
  *
  * Required environment variables:
  *   APP_STORE_CONNECT_API_KEY_ID      - App Store Connect API Key ID
  *   APP_STORE_CONNECT_ISSUER_ID       - App Store Connect Issuer ID
  *   APP_STORE_CONNECT_API_KEY_CONTENT - API private key (base64 encoded)
- *   GH_TOKEN                          - GitHub token for PR comments (used by gh CLI)
+ *   GH_TOKEN                          - GitHub token for the GitHub REST API
  *   APP_BUNDLE_ID                     - Your app's bundle identifier
  *   APP_NAME                          - App name (must match App Store Connect)
  *   GITHUB_REPO_OWNER                 - GitHub org/user
@@ -25,8 +40,32 @@
  *
  * Optional environment variables:
  *   APP_ID                            - App Store Connect app ID (if bundle ID matches multiple apps)
- *   XCODE_WORKFLOW_ID                 - Xcode Cloud workflow ID to filter builds
+ *   XCODE_WORKFLOW_ID                 - Xcode Cloud workflow IDs or names to submit builds from (comma-separated)
+ *   GITHUB_API_URL                    - GitHub API URL for GitHub Enterprise Server
+ *   HOTFIX_WORKFLOWS / HOTFIX_BRANCHES - Hotfix builds: submitted first, merged back into MAIN_BRANCH
+ *   IOS_REPO_PATH                     - Local iOS repo clone for triggering the next build
+ *   TRIGGER_WORKFLOW                  - Xcode Cloud workflow to start the next build with via the API
+ *   TRIGGER_BRANCH                    - Branch the next build runs on (default: develop)
+ *   VERSION_BUMP / VERSION_BUMP_SCRIPT - Next build's version: major, minor, patch or a script
+ *   TAG_TEMPLATE                      - Release tag name (default: v{{version}}-{{buildNumber}})
+ *   PHASED_RELEASE=true               - Release submitted versions gradually over 7 days
+ *   GITHUB_RELEASE=true               - Publish a GitHub Release with a changelog on each release tag
+ *   RELEASE_TYPE                      - manual, after-approval or scheduled
+ *   EARLIEST_RELEASE_DATE             - Earliest release date for scheduled releases (ISO 8601)
+ *   BETA_GROUPS                       - JSON mapping of beta workflows to TestFlight beta groups
+ *   SUBMIT_*                          - Submission policy: soak time, allowed days/hours, blackouts, labels
+ *   APPS_CONFIG                       - Path to apps config file (default: apps.json)
+ *   DAEMON_DEPLOY_INTERVAL            - Seconds between daemon deploy checks (default: 300)
+ *   DAEMON_SYNC_INTERVAL              - Seconds between daemon release syncs (default: 900)
+ *   DAEMON_HEALTH_PORT                - Port of the daemon health endpoint (default: 8787, 0 disables)
+ *   WEBHOOK_SECRET                    - App Store Connect webhook secret (webhook mode)
+ *   WEBHOOK_PORT                      - Port of the webhook receiver (default: 8788)
+ *   LOG_LEVEL / LOG_FORMAT            - Lowest level logged (default: info); text or json lines
+ *   METRICS_FILE                      - Write pipeline metrics to this file after each run
  *   DRY_RUN=true                      - Run without making changes
+ *
+ * When an apps config file exists, the app settings above come from its entries
+ * instead and each app is deployed and synced in turn.
  */
 
 // Suppress dotenv logging
@@ -43,84 +82,511 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '.env') });
 
 // Import modules
-import { CONFIG, log } from './lib/config.js';
+import { CONFIG, log, loadApps, runWithApp, sendLogsToStderr } from './lib/config.js';
 import { AppStoreConnectAPI } from './lib/app-store-connect.js';
 import { GitHubAPI } from './lib/github.js';
 import { GitHubTags } from './lib/git.js';
-import { acquireLock, releaseLock } from './lib/lock.js';
+import { acquireLock, releaseLock, releaseAllLocks } from './lib/lock.js';
 import { runDeployCheck } from './lib/deploy.js';
 import { runReleaseSync } from './lib/sync.js';
+import { validateTriggerSettings } from './lib/trigger.js';
+import { runRejectionCheck } from './lib/rejection.js';
+import { runPhasedCommand, PHASED_ACTIONS } from './lib/phased.js';
+import { runReleaseCommand } from './lib/release.js';
+import { runSubmitCommand, runCancelReviewCommand } from './lib/submit.js';
+import { runHistoryCommand } from './lib/history.js';
+import { runDaemon } from './lib/daemon.js';
+import { getStatus, printStatus } from './lib/status.js';
+import { runWebhookReceiver, sendSamplePayload } from './lib/webhook.js';
+import { renderMetrics, writeMetricsFile } from './lib/metrics.js';
+import { runDoctor } from './lib/doctor.js';
+import { runWorkflowsCommand } from './lib/workflows.js';
 
-async function main() {
-  const DRY_RUN = process.env.DRY_RUN === 'true';
-  const args = process.argv.slice(2);
-  const mode = args[0] || 'all'; // 'deploy', 'sync', or 'all'
+// Credentials shared by every app
+const requiredCredentialVars = [
+  'APP_STORE_CONNECT_API_KEY_ID',
+  'APP_STORE_CONNECT_ISSUER_ID',
+  'APP_STORE_CONNECT_API_KEY_CONTENT',
+  'GH_TOKEN',
+];
+
+// Per-app settings (env vars in single-app mode, entries in the apps config file otherwise)
+const requiredAppSettings = [
+  ['appIdentifier', 'APP_BUNDLE_ID', 'bundleId'],
+  ['appName', 'APP_NAME', 'appName'],
+  ['repoOwner', 'GITHUB_REPO_OWNER', 'repoOwner'],
+  ['repoName', 'GITHUB_REPO_NAME', 'repoName'],
+];
+
+// Commands; 'all' runs reject-check, deploy and sync
+const MODES = ['all', 'deploy', 'sync', 'reject-check', 'phased', 'release', 'submit', 'cancel-review', 'history', 'status', 'metrics', 'doctor', 'workflows', 'daemon', 'webhook'];
+
+// Commands that only read local state: no credentials or lock needed
+const LOCAL_MODES = ['history', 'metrics'];
 
-  // Acquire lock
-  if (!acquireLock()) {
-    log('Another instance is already running, exiting');
-    process.exit(0);
+// Commands that keep running and handle SIGTERM/SIGINT themselves
+const LONG_RUNNING_MODES = ['daemon', 'webhook'];
+
+// Tasks the daemon schedules, in start-up order
+const DAEMON_TASKS = ['reject-check', 'deploy', 'sync'];
+
+// Options that take no value
+const BOOLEAN_OPTIONS = ['json', 'force'];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{mode: string, args: string[], options: Object<string, string|boolean>}}
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      options[name] = BOOLEAN_OPTIONS.includes(name) ? true : (argv[++i] ?? '');
+    } else {
+      positional.push(argv[i]);
+    }
   }
 
-  // Ensure lock is released on exit
-  process.on('exit', releaseLock);
-  process.on('SIGINT', () => { releaseLock(); process.exit(0); });
-  process.on('SIGTERM', () => { releaseLock(); process.exit(0); });
+  return { mode: positional[0] || 'all', args: positional.slice(1), options };
+}
 
-  log('=== merge4appstore ===');
-  log(`Mode: ${mode}`);
-  if (DRY_RUN) {
-    log('DRY RUN MODE - No actual changes will be made');
+/**
+ * Check the command's arguments before anything runs
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCommand({ mode, args }) {
+  if (!MODES.includes(mode)) {
+    return `Unknown command: ${mode} (expected one of: ${MODES.join(', ')})`;
+  }
+  if (mode === 'phased' && !PHASED_ACTIONS.includes(args[0])) {
+    return `Usage: node index.js phased <${PHASED_ACTIONS.join('|')}>`;
+  }
+  if (mode === 'submit' && !args[0]) {
+    return 'Usage: node index.js submit <buildNumber> [--notes <text>] [--force]';
   }
+  if (mode === 'history' && !args[0]) {
+    return 'Usage: node index.js history <buildNumber|version>';
+  }
+  if (mode === 'webhook' && args.length > 0 && !(args[0] === 'send' && args[1])) {
+    return 'Usage: node index.js webhook [send <payload.json> [--url <url>]]';
+  }
+  return null;
+}
 
-  // Validate required environment variables
-  const requiredVars = [
-    'APP_STORE_CONNECT_API_KEY_ID',
-    'APP_STORE_CONNECT_ISSUER_ID',
-    'APP_STORE_CONNECT_API_KEY_CONTENT',
-    'APP_BUNDLE_ID',
-    'APP_NAME',
-    'GITHUB_REPO_OWNER',
-    'GITHUB_REPO_NAME',
-  ];
-
-  for (const varName of requiredVars) {
-    if (!process.env[varName]) {
-      log(`ERROR: Missing required environment variable: ${varName}`);
-      process.exit(1);
+/**
+ * Whether the command only works locally (no App Store Connect or GitHub credentials needed)
+ */
+function isLocalCommand({ mode, args }) {
+  return LOCAL_MODES.includes(mode) || (mode === 'webhook' && args[0] === 'send');
+}
+
+// API clients per app, kept for the life of the process so the daemon reuses tokens and caches
+const clientsByApp = new Map();
+
+function getClients(app) {
+  const key = app?.key || '';
+  if (!clientsByApp.has(key)) {
+    clientsByApp.set(key, {
+      asc: new AppStoreConnectAPI(
+        process.env.APP_STORE_CONNECT_API_KEY_ID,
+        process.env.APP_STORE_CONNECT_ISSUER_ID,
+        process.env.APP_STORE_CONNECT_API_KEY_CONTENT || ''
+      ),
+      github: new GitHubAPI(CONFIG.repoOwner, CONFIG.repoName),
+      tags: new GitHubTags(CONFIG.repoOwner, CONFIG.repoName),
+    });
+  }
+  return clientsByApp.get(key);
+}
+
+/**
+ * Check the active app's required settings, logging the first one missing
+ */
+function hasRequiredSettings(app) {
+  for (const [setting, envVar, fileKey] of requiredAppSettings) {
+    if (!CONFIG[setting]) {
+      log.error(app
+        ? `Missing required setting "${fileKey}" for app ${app.key}`
+        : `Missing required environment variable: ${envVar}`);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Run the selected operations for the active app
+ * @returns {Promise<boolean>} - false if the app failed
+ */
+async function runApp(app, { mode, args, options = {} }, DRY_RUN) {
+  const lockName = app?.key;
+  const dryRun = DRY_RUN || app?.dryRun === true;
+
+  if (!hasRequiredSettings(app)) {
+    return false;
+  }
+
+  if (LOCAL_MODES.includes(mode)) {
+    if (mode === 'history') {
+      runHistoryCommand(args[0]);
     }
+    return true;
   }
 
-  // Initialize clients
-  const asc = new AppStoreConnectAPI(
-    process.env.APP_STORE_CONNECT_API_KEY_ID,
-    process.env.APP_STORE_CONNECT_ISSUER_ID,
-    process.env.APP_STORE_CONNECT_API_KEY_CONTENT
-  );
+  const triggerError = validateTriggerSettings();
+  if (triggerError) {
+    log.error(triggerError);
+    return false;
+  }
 
-  const github = new GitHubAPI(CONFIG.repoOwner, CONFIG.repoName);
-  const tags = new GitHubTags(CONFIG.repoOwner, CONFIG.repoName);
+  // A run that finds the lock taken fails, so the daemon and webhook receiver report it
+  if (!acquireLock(lockName)) {
+    log.error('Another instance is already running - not running this time');
+    return false;
+  }
 
   try {
+    if (app) {
+      log(`--- App: ${CONFIG.appName} (${CONFIG.appIdentifier}) ---`);
+      if (dryRun && !DRY_RUN) {
+        log('DRY RUN MODE (app setting) - No actual changes will be made');
+      }
+    }
+
+    // Each app gets its own clients so the app ID cache is not shared
+    const { asc, github, tags } = getClients(app);
+
+    // Run rejection check first - deploy may resubmit a rejected version with a newer build
+    if (mode === 'reject-check' || mode === 'all') {
+      await runRejectionCheck(asc, github, dryRun);
+    }
+
     // Run deploy check
     if (mode === 'deploy' || mode === 'all') {
-      await runDeployCheck(asc, github, DRY_RUN);
+      await runDeployCheck(asc, tags, github, dryRun);
     }
 
     // Run release sync
     if (mode === 'sync' || mode === 'all') {
-      await runReleaseSync(asc, tags, github, DRY_RUN);
+      await runReleaseSync(asc, tags, github, dryRun);
     }
 
-    log('=== Done ===');
+    // Manage the live version's phased release
+    if (mode === 'phased') {
+      await runPhasedCommand(asc, args[0], dryRun);
+    }
 
+    // Release a version waiting in PENDING_DEVELOPER_RELEASE
+    if (mode === 'release') {
+      await runReleaseCommand(asc, args[0], dryRun);
+    }
+
+    // Submit a chosen build, or withdraw the current submission
+    if (mode === 'submit') {
+      await runSubmitCommand(asc, tags, github, args[0], options, dryRun);
+    }
+    if (mode === 'cancel-review') {
+      await runCancelReviewCommand(asc, github, args[0], dryRun);
+    }
+
+    // List Xcode Cloud workflows to pick XCODE_WORKFLOW_ID from
+    if (mode === 'workflows') {
+      await runWorkflowsCommand(asc, options.runs);
+    }
+
+    return true;
   } catch (error) {
-    log(`ERROR: ${error.message}`);
+    log.error(`${error.message}`);
     if (error.stack) {
-      log(`Stack: ${error.stack.split('\n').slice(1, 4).join('\n')}`);
+      log.debug(`Stack: ${error.stack.split('\n').slice(1, 4).join('\n')}`);
+    }
+    return false;
+  } finally {
+    releaseLock(lockName);
+  }
+}
+
+/**
+ * Run a command for each app in turn; a failure in one app must not stop the others
+ * @param {Array<object|null>} apps - App entries, or [null] in single-app mode
+ * @returns {Promise<string[]>} - Keys of the apps that failed
+ */
+async function runApps(apps, command, DRY_RUN) {
+  const failed = [];
+  for (const app of apps) {
+    const ok = app
+      ? await runWithApp(app, () => runApp(app, command, DRY_RUN))
+      : await runApp(null, command, DRY_RUN);
+    if (!ok) failed.push(app?.key || 'default');
+  }
+  return failed;
+}
+
+/**
+ * Show each app's status. Read-only, so it runs without the lock even while a deploy is running.
+ * With --json, prints one JSON document on stdout: the report, or an array of reports with an apps config file.
+ */
+async function showStatus(apps, json) {
+  const reports = [];
+  let ok = true;
+
+  for (const app of apps) {
+    const report = async () => {
+      if (!hasRequiredSettings(app)) {
+        reports.push({ app: { key: app?.key || null }, error: 'Missing required settings' });
+        ok = false;
+        return;
+      }
+
+      try {
+        const { asc, tags } = getClients(app);
+        const status = await getStatus(asc, tags);
+        reports.push(status);
+        if (!json) printStatus(status);
+      } catch (error) {
+        log.error(`${error.message}`);
+        reports.push({ app: { key: CONFIG.appKey || null, name: CONFIG.appName, bundleId: CONFIG.appIdentifier }, error: error.message });
+        ok = false;
+      }
+    };
+    await (app ? runWithApp(app, report) : report());
+  }
+
+  if (json) {
+    const output = apps[0] === null ? reports[0] : reports;
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+  }
+  return ok;
+}
+
+/**
+ * Check each app's configuration and credentials. Read-only, so it runs without the lock.
+ * @returns {Promise<boolean>} - false if any check failed
+ */
+async function checkApps(apps) {
+  const missingCredentials = requiredCredentialVars.filter(varName => !process.env[varName]);
+  let ok = true;
+
+  for (const app of apps) {
+    const check = async () => {
+      if (app) {
+        log(`--- App: ${app.key} ---`);
+      }
+      if (!hasRequiredSettings(app)) {
+        ok = false;
+        return;
+      }
+      const { asc, github } = getClients(app);
+      if (!await runDoctor(asc, github, missingCredentials)) {
+        ok = false;
+      }
+    };
+    await (app ? runWithApp(app, check) : check());
+  }
+  return ok;
+}
+
+/**
+ * Run reject-check, deploy and sync on intervals until stopped
+ */
+async function startDaemon(apps, DRY_RUN) {
+  try {
+    await runDaemon(DAEMON_TASKS, async (task) => {
+      log(`=== ${task} ===`);
+      const failed = await runApps(apps, { mode: task, args: [] }, DRY_RUN);
+      log(failed.length > 0 ? `=== ${task} done with errors (${failed.join(', ')}) ===` : `=== ${task} done ===`);
+      writeMetricsFile(apps);
+      return failed.length === 0;
+    }, () => renderMetrics(apps));
+  } catch (error) {
+    log.error(`${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Run deploy, sync or reject-check for one app when a webhook asks for it, until stopped
+ */
+async function startWebhookReceiver(apps, DRY_RUN) {
+  try {
+    await runWebhookReceiver(apps, async (app, task) => {
+      const failed = await runApps([app], { mode: task, args: [] }, DRY_RUN);
+      writeMetricsFile(apps);
+      return failed.length === 0;
+    });
+  } catch (error) {
+    log.error(`${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Post a sample webhook payload to the receiver
+ */
+async function sendWebhook(app, file, url) {
+  try {
+    const ok = await (app ? runWithApp(app, () => sendSamplePayload(app, file, url)) : sendSamplePayload(null, file, url));
+    if (!ok) process.exit(1);
+  } catch (error) {
+    log.error(`${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function main() {
+  const DRY_RUN = process.env.DRY_RUN === 'true';
+  const command = parseArgs(process.argv.slice(2));
+  const { mode, args, options } = command;
+  const appKey = options.app || null;
+
+  const commandError = validateCommand(command);
+  if (commandError) {
+    log.error(commandError);
+    process.exit(1);
+  }
+
+  try {
+    CONFIG.logging;
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  // Keep stdout for the JSON document or metrics
+  if (options.json || mode === 'metrics') {
+    sendLogsToStderr();
+  }
+
+  // Ensure locks are released on exit (long-running modes handle signals themselves to finish the running task)
+  process.on('exit', releaseAllLocks);
+  if (!LONG_RUNNING_MODES.includes(mode)) {
+    process.on('SIGINT', () => { releaseAllLocks(); process.exit(0); });
+    process.on('SIGTERM', () => { releaseAllLocks(); process.exit(0); });
+  }
+
+  log('=== merge4appstore ===');
+  log(`Mode: ${[mode, ...args].join(' ')}`);
+  if (DRY_RUN) {
+    log('DRY RUN MODE - No actual changes will be made');
+  }
+
+  // Validate required environment variables; doctor reports missing ones as failed checks
+  for (const varName of requiredCredentialVars) {
+    if (!process.env[varName] && !isLocalCommand(command) && mode !== 'doctor') {
+      log.error(`Missing required environment variable: ${varName}`);
+      process.exit(1);
+    }
+  }
+
+  let apps;
+  try {
+    apps = loadApps();
+  } catch (error) {
+    log.error(`${error.message}`);
+    process.exit(1);
+  }
+
+  // Single-app mode: everything comes from environment variables
+  if (!apps) {
+    if (mode === 'daemon') {
+      await startDaemon([null], DRY_RUN);
+      return;
+    }
+    if (mode === 'webhook') {
+      await (args[0] === 'send' ? sendWebhook(null, args[1], options.url) : startWebhookReceiver([null], DRY_RUN));
+      return;
+    }
+    if (mode === 'status') {
+      const ok = await showStatus([null], options.json);
+      if (!ok) process.exit(1);
+      return;
+    }
+    if (mode === 'metrics') {
+      process.stdout.write(renderMetrics([null]));
+      return;
+    }
+    if (mode === 'doctor') {
+      const ok = await checkApps([null]);
+      if (!ok) process.exit(1);
+      return;
+    }
+
+    const ok = await runApp(null, command, DRY_RUN);
+    writeMetricsFile([null]);
+    if (!ok) process.exit(1);
+    log('=== Done ===');
+    return;
+  }
+
+  let selectedApps = apps.filter(app => app.enabled !== false);
+  if (appKey) {
+    selectedApps = apps.filter(app => app.key === appKey);
+    if (selectedApps.length === 0) {
+      log.error(`No app with key "${appKey}" in ${CONFIG.appsConfigPath}`);
+      process.exit(1);
     }
+  }
+
+  if (mode === 'webhook' && args[0] === 'send') {
+    if (selectedApps.length > 1) {
+      log.error('webhook send posts to one app\'s receiver path - pick one app with --app <key>');
+      process.exit(1);
+    }
+    await sendWebhook(selectedApps[0], args[1], options.url);
+    return;
+  }
+
+  // Don't release, pause or complete every app's rollout by accident
+  const changesLiveRollout = mode === 'release' || (mode === 'phased' && args[0] !== 'status');
+  if (changesLiveRollout && selectedApps.length > 1) {
+    log.error(`${[mode, ...args].join(' ')} changes a live rollout - pick one app with --app <key>`);
     process.exit(1);
   }
+
+  // Build numbers belong to one app
+  if ((mode === 'submit' || mode === 'cancel-review') && selectedApps.length > 1) {
+    log.error(`${mode} changes one app's review - pick one app with --app <key>`);
+    process.exit(1);
+  }
+
+  log(`Apps: ${selectedApps.map(app => app.key).join(', ')}`);
+
+  if (mode === 'daemon') {
+    await startDaemon(selectedApps, DRY_RUN);
+    return;
+  }
+  if (mode === 'webhook') {
+    await startWebhookReceiver(selectedApps, DRY_RUN);
+    return;
+  }
+  if (mode === 'status') {
+    const ok = await showStatus(selectedApps, options.json);
+    if (!ok) process.exit(1);
+    return;
+  }
+  if (mode === 'metrics') {
+    process.stdout.write(renderMetrics(selectedApps));
+    return;
+  }
+  if (mode === 'doctor') {
+    const ok = await checkApps(selectedApps);
+    if (!ok) process.exit(1);
+    return;
+  }
+
+  const failed = await runApps(selectedApps, command, DRY_RUN);
+  writeMetricsFile(selectedApps);
+
+  if (failed.length > 0) {
+    log(`=== Done with errors (${failed.join(', ')}) ===`);
+    process.exit(1);
+  }
+
+  log('=== Done ===');
 }
 
 main();
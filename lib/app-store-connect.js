@@ -1,15 +1,73 @@
 import crypto from 'crypto';
 import { CONFIG, log } from './config.js';
+import { fetchWithRetry } from './http.js';
+import { readState, writeState } from './state.js';
 
-const DEFAULT_RETRY_OPTIONS = {
-  maxRetries: 3,
-  initialDelayMs: 1000,
-  maxDelayMs: 10000,
-  retryableStatusCodes: [429, 500, 502, 503, 504],
+// Collections stop following links.next after this many pages unless the caller allows more
+const DEFAULT_MAX_PAGES = 50;
+
+// Page size for collection requests (the API maximum for most endpoints)
+const PAGE_LIMIT = 200;
+
+// Bumped when build index entries gain fields, so older indexes are rebuilt once
+const BUILD_INDEX_VERSION = 2;
+
+// Config values for RELEASE_TYPE and the App Store Connect releaseType they map to
+const RELEASE_TYPES = {
+  'manual': 'MANUAL',
+  'after-approval': 'AFTER_APPROVAL',
+  'scheduled': 'SCHEDULED',
 };
 
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Get the version attributes for the configured release type
+ * @returns {{releaseType: string, earliestReleaseDate?: string}|null} - null if no release type is configured
+ */
+function getReleaseAttributes() {
+  if (!CONFIG.releaseType) {
+    return null;
+  }
+
+  const releaseType = RELEASE_TYPES[CONFIG.releaseType];
+  if (!releaseType) {
+    throw new Error(`Invalid release type: ${CONFIG.releaseType} (expected one of: ${Object.keys(RELEASE_TYPES).join(', ')})`);
+  }
+
+  if (releaseType !== 'SCHEDULED') {
+    return { releaseType };
+  }
+
+  const earliestReleaseDate = new Date(CONFIG.earliestReleaseDate);
+  if (!CONFIG.earliestReleaseDate || isNaN(earliestReleaseDate.getTime())) {
+    throw new Error('Scheduled release type needs a valid earliest release date');
+  }
+
+  return {
+    releaseType,
+    earliestReleaseDate: earliestReleaseDate.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+  };
+}
+
+/**
+ * Get the commit SHA of an Xcode Cloud build run
+ * @returns {string|null}
+ */
+function getRunCommitSHA(run) {
+  const sourceCommit = run.attributes?.sourceCommit;
+
+  if (typeof sourceCommit === 'string') {
+    return sourceCommit;
+  }
+  if (sourceCommit && typeof sourceCommit === 'object') {
+    return sourceCommit.commitSha || sourceCommit.hash || sourceCommit.canonicalHash || sourceCommit.id || null;
+  }
+  return null;
+}
+
+function releaseAttributesMatch(current, wanted) {
+  if (current.releaseType !== wanted.releaseType) return false;
+  if (!wanted.earliestReleaseDate) return true;
+  return new Date(current.earliestReleaseDate).getTime() === new Date(wanted.earliestReleaseDate).getTime();
 }
 
 export class AppStoreConnectAPI {
@@ -87,76 +145,80 @@ export class AppStoreConnectAPI {
   }
 
   async request(endpoint, options = {}, retryOptions = {}) {
-    const opts = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
     const url = endpoint.startsWith('http') ? endpoint : `${CONFIG.apiBaseUrl}${endpoint}`;
 
-    let lastError;
-    for (let attempt = 0; attempt <= opts.maxRetries; attempt++) {
-      try {
-        const token = this.generateToken();
-
-        const response = await fetch(url, {
-          ...options,
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
-            ...options.headers,
-          },
-        });
+    const response = await fetchWithRetry(url, () => ({
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${this.generateToken()}`,
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    }), retryOptions);
 
-        if (response.status === 204) {
-          return null;
-        }
+    if (response.status === 204) {
+      return null;
+    }
 
-        // Handle rate limiting with Retry-After header
-        if (response.status === 429) {
-          const retryAfter = parseInt(response.headers.get('Retry-After') || '0', 10);
-          if (attempt < opts.maxRetries) {
-            const delay = retryAfter > 0 ? retryAfter * 1000 : this.calculateBackoff(attempt, opts);
-            log(`Rate limited, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${opts.maxRetries})`);
-            await sleep(delay);
-            continue;
-          }
-        }
+    const data = await response.json();
 
-        // Retry on server errors
-        if (opts.retryableStatusCodes.includes(response.status) && attempt < opts.maxRetries) {
-          const delay = this.calculateBackoff(attempt, opts);
-          log(`Request failed with ${response.status}, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${opts.maxRetries})`);
-          await sleep(delay);
-          continue;
-        }
+    if (!response.ok) {
+      const errorDetail = data.errors?.[0]?.detail || JSON.stringify(data);
+      const error = new Error(`API Error ${response.status}: ${errorDetail}`);
+      error.status = response.status;
+      throw error;
+    }
 
-        const data = await response.json();
+    return data;
+  }
 
-        if (!response.ok) {
-          const errorDetail = data.errors?.[0]?.detail || JSON.stringify(data);
-          throw new Error(`API Error ${response.status}: ${errorDetail}`);
-        }
+  /**
+   * Iterate over the pages of a collection by following links.next
+   * @param {string} endpoint
+   * @param {object} options
+   * @param {number} options.maxPages - Stop after this many pages, with a warning that results are incomplete
+   * @yields {object} - Each page's response document ({ data, included, links, meta })
+   */
+  async *pages(endpoint, { maxPages = DEFAULT_MAX_PAGES } = {}) {
+    let next = endpoint;
+    for (let page = 1; next; page++) {
+      if (page > maxPages) {
+        log.warn(`Stopped after ${maxPages} pages of ${endpoint.split('?')[0]} - results may be incomplete`);
+        return;
+      }
 
-        return data;
-      } catch (error) {
-        lastError = error;
+      const data = await this.request(next);
+      yield data;
+      next = data?.links?.next || null;
+    }
+  }
 
-        // Retry on network errors
-        if (error.name === 'TypeError' && error.message.includes('fetch') && attempt < opts.maxRetries) {
-          const delay = this.calculateBackoff(attempt, opts);
-          log(`Network error, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${opts.maxRetries})`);
-          await sleep(delay);
-          continue;
-        }
+  /**
+   * Iterate over every resource in a collection, fetching pages as needed
+   * @yields {object} - Each resource in data
+   */
+  async *iterate(endpoint, options) {
+    for await (const page of this.pages(endpoint, options)) {
+      yield* page?.data || [];
+    }
+  }
 
-        throw error;
+  /**
+   * Fetch every page of a collection
+   * @returns {Promise<{data: Array, included: Array}>} - data from all pages, and included resources merged without duplicates
+   */
+  async requestAll(endpoint, options) {
+    const data = [];
+    const included = new Map();
+
+    for await (const page of this.pages(endpoint, options)) {
+      data.push(...(page?.data || []));
+      for (const resource of page?.included || []) {
+        included.set(`${resource.type}/${resource.id}`, resource);
       }
     }
 
-    throw lastError;
-  }
-
-  calculateBackoff(attempt, opts) {
-    const delay = opts.initialDelayMs * Math.pow(2, attempt);
-    const jitter = Math.random() * 0.3 * delay; // Add up to 30% jitter
-    return Math.min(delay + jitter, opts.maxDelayMs);
+    return { data, included: [...included.values()] };
   }
 
   async getAppId() {
@@ -180,8 +242,7 @@ export class AppStoreConnectAPI {
 
   async getAppStoreVersions() {
     const appId = await this.getAppId();
-    const data = await this.request(`/apps/${appId}/appStoreVersions?include=build`);
-    return data;
+    return this.requestAll(`/apps/${appId}/appStoreVersions?include=build&limit=${PAGE_LIMIT}`);
   }
 
   async checkBuildInReview() {
@@ -211,9 +272,8 @@ export class AppStoreConnectAPI {
     return { inReview: false };
   }
 
-  async checkRejectedVersion() {
+  async checkRejectedVersion(rejectedStates = ['REJECTED', 'DEVELOPER_REJECTED', 'METADATA_REJECTED']) {
     const versions = await this.getAppStoreVersions();
-    const rejectedStates = ['REJECTED', 'DEVELOPER_REJECTED', 'METADATA_REJECTED'];
 
     for (const version of versions.data || []) {
       if (rejectedStates.includes(version.attributes.appStoreState)) {
@@ -238,6 +298,31 @@ export class AppStoreConnectAPI {
     return { rejected: false };
   }
 
+  /**
+   * Get the latest review submission that included a version
+   * @returns {Promise<{submissionId: string, state: string, submittedDate: string|null}|null>}
+   */
+  async getReviewSubmissionForVersion(versionId) {
+    const appId = await this.getAppId();
+    const data = await this.requestAll(
+      `/reviewSubmissions?filter[app]=${appId}&filter[platform]=IOS&include=appStoreVersionForReview&limit=${PAGE_LIMIT}`
+    );
+
+    const submissions = (data.data || [])
+      .filter(s => s.relationships?.appStoreVersionForReview?.data?.id === versionId)
+      .sort((a, b) => (b.attributes.submittedDate || '').localeCompare(a.attributes.submittedDate || ''));
+
+    if (!submissions[0]) {
+      return null;
+    }
+
+    return {
+      submissionId: submissions[0].id,
+      state: submissions[0].attributes.state,
+      submittedDate: submissions[0].attributes.submittedDate || null,
+    };
+  }
+
   async getLiveProductionBuild() {
     const versions = await this.getAppStoreVersions();
 
@@ -255,6 +340,7 @@ export class AppStoreConnectAPI {
           live: true,
           version: version.attributes.versionString,
           buildNumber,
+          versionId: version.id,
         };
       }
     }
@@ -262,13 +348,14 @@ export class AppStoreConnectAPI {
     return { live: false, buildNumber: '0' };
   }
 
-  async getLatestTestFlightReadyBuild() {
+  /**
+   * Iterate over the builds that could be submitted: processed, not expired, and neither live
+   * nor attached to a version in progress
+   * @yields {{buildNumber: string, version: string, betaState: string, buildId: string, uploadedDate: string|null}} - Newest upload first
+   */
+  async *getTestFlightReadyBuilds() {
     const appId = await this.getAppId();
 
-    const data = await this.request(
-      `/builds?filter[app]=${appId}&sort=-uploadedDate&limit=50&include=preReleaseVersion,buildBetaDetail`
-    );
-
     const versions = await this.getAppStoreVersions();
     const liveVersion = versions.data?.find(v => v.attributes.appStoreState === 'READY_FOR_SALE');
     const liveBuildId = liveVersion?.relationships?.build?.data?.id;
@@ -277,89 +364,212 @@ export class AppStoreConnectAPI {
     const inProgressVersion = versions.data?.find(v => reviewStates.includes(v.attributes.appStoreState));
     const inProgressBuildId = inProgressVersion?.relationships?.build?.data?.id;
 
-    for (const build of data.data || []) {
-      if (build.attributes.processingState !== 'VALID') continue;
-      if (build.attributes.expired) continue;
-      if (build.id === liveBuildId) continue;
-      if (build.id === inProgressBuildId) continue;
-
-      const preReleaseVersionId = build.relationships?.preReleaseVersion?.data?.id;
-      let versionString = 'unknown';
-      if (preReleaseVersionId && data.included) {
-        const preRelease = data.included.find(i => i.type === 'preReleaseVersions' && i.id === preReleaseVersionId);
-        versionString = preRelease?.attributes?.version || 'unknown';
-      }
+    // Builds are newest first, so later pages are only fetched while the caller keeps looking
+    const buildsEndpoint = `/builds?filter[app]=${appId}&sort=-uploadedDate&limit=50&include=preReleaseVersion,buildBetaDetail`;
+    for await (const data of this.pages(buildsEndpoint, { maxPages: 10 })) {
+      const builds = (data.data || []).filter(build => build.attributes.processingState === 'VALID'
+        && !build.attributes.expired
+        && build.id !== liveBuildId
+        && build.id !== inProgressBuildId);
+
+      for (const build of builds) {
+        const preReleaseVersionId = build.relationships?.preReleaseVersion?.data?.id;
+        let versionString = 'unknown';
+        if (preReleaseVersionId && data.included) {
+          const preRelease = data.included.find(i => i.type === 'preReleaseVersions' && i.id === preReleaseVersionId);
+          versionString = preRelease?.attributes?.version || 'unknown';
+        }
 
-      const betaDetailId = build.relationships?.buildBetaDetail?.data?.id;
-      let betaState = 'unknown';
-      if (betaDetailId && data.included) {
-        const betaDetail = data.included.find(i => i.type === 'buildBetaDetails' && i.id === betaDetailId);
-        betaState = betaDetail?.attributes?.externalBuildState || 'unknown';
-      }
+        const betaDetailId = build.relationships?.buildBetaDetail?.data?.id;
+        let betaState = 'unknown';
+        if (betaDetailId && data.included) {
+          const betaDetail = data.included.find(i => i.type === 'buildBetaDetails' && i.id === betaDetailId);
+          betaState = betaDetail?.attributes?.externalBuildState || 'unknown';
+        }
 
-      return {
-        found: true,
-        buildNumber: build.attributes.version,
-        version: versionString,
-        betaState,
-        buildId: build.id,
-      };
+        yield {
+          buildNumber: build.attributes.version,
+          version: versionString,
+          betaState,
+          buildId: build.id,
+          uploadedDate: build.attributes.uploadedDate || null,
+        };
+      }
     }
+  }
 
+  async getLatestTestFlightReadyBuild() {
+    for await (const build of this.getTestFlightReadyBuilds()) {
+      return { found: true, ...build };
+    }
     return { found: false };
   }
 
   async getCIProducts() {
-    const data = await this.request('/ciProducts');
-    return data.data || [];
+    const data = await this.requestAll(`/ciProducts?limit=${PAGE_LIMIT}`);
+    return data.data;
   }
 
   async getWorkflows(productId) {
-    const data = await this.request(`/ciProducts/${productId}/workflows`);
-    return data.data || [];
+    const data = await this.requestAll(`/ciProducts/${productId}/workflows?limit=${PAGE_LIMIT}`);
+    return data.data;
   }
 
-  async getBuildRuns(workflowId, limit = 50) {
-    const data = await this.request(
-      `/ciWorkflows/${workflowId}/buildRuns?limit=${limit}&sort=-number&fields[ciBuildRuns]=number,sourceCommit,executionProgress,completionStatus`
-    );
-    return data;
+  /**
+   * Iterate over a workflow's build runs, newest first
+   * @yields {object} - ciBuildRuns resources, with branch set to the name of the branch or tag built (or null)
+   */
+  async *getBuildRuns(workflowId, options) {
+    const endpoint = `/ciWorkflows/${workflowId}/buildRuns?limit=${PAGE_LIMIT}&sort=-number`
+      + '&fields[ciBuildRuns]=number,sourceCommit,executionProgress,completionStatus,createdDate,sourceBranchOrTag'
+      + '&include=sourceBranchOrTag&fields[scmGitReferences]=name';
+
+    for await (const page of this.pages(endpoint, options)) {
+      const references = new Map((page?.included || [])
+        .filter(resource => resource.type === 'scmGitReferences')
+        .map(reference => [reference.id, reference.attributes?.name]));
+
+      for (const run of page?.data || []) {
+        yield { ...run, branch: references.get(run.relationships?.sourceBranchOrTag?.data?.id) || null };
+      }
+    }
   }
 
-  async getBuildCommitSHA(buildNumber) {
-    const products = await this.getCIProducts();
-
-    for (const product of products) {
-      const workflows = await this.getWorkflows(product.id);
-
-      for (const workflow of workflows) {
-        const workflowId = workflow.id;
-        const workflowName = workflow.attributes?.name;
-        const runsData = await this.getBuildRuns(workflow.id, 200);
-
-        for (const run of runsData.data || []) {
-          if (run.attributes?.number?.toString() === buildNumber.toString()) {
-            const sourceCommit = run.attributes?.sourceCommit;
-            let commitSha = null;
-
-            if (typeof sourceCommit === 'string') {
-              commitSha = sourceCommit;
-            } else if (sourceCommit && typeof sourceCommit === 'object') {
-              commitSha = sourceCommit.commitSha || sourceCommit.hash || sourceCommit.canonicalHash || sourceCommit.id;
-            }
-
-            return {
-              found: true,
-              commitSha,
-              workflowId,
-              workflowName,
-            };
-          }
+  /**
+   * Find a branch of the repository a workflow builds from
+   * @returns {Promise<object|null>} - scmGitReferences resource, null if the repository has no such branch
+   */
+  async getWorkflowBranch(workflowId, branch) {
+    const repository = await this.request(`/ciWorkflows/${workflowId}/repository`);
+    const repositoryId = repository?.data?.id;
+    if (!repositoryId) {
+      throw new Error(`Workflow ${workflowId} has no repository`);
+    }
+
+    for await (const reference of this.iterate(`/scmRepositories/${repositoryId}/gitReferences?limit=${PAGE_LIMIT}`)) {
+      const { kind, name, isDeleted } = reference.attributes || {};
+      if (kind === 'BRANCH' && name === branch && !isDeleted) {
+        return reference;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start an Xcode Cloud build run of a workflow on a branch
+   * @param {string} workflowId
+   * @param {string} gitReferenceId - From getWorkflowBranch()
+   * @returns {Promise<object>} - The new ciBuildRuns resource
+   */
+  async startBuildRun(workflowId, gitReferenceId) {
+    const data = await this.request('/ciBuildRuns', {
+      method: 'POST',
+      body: JSON.stringify({
+        data: {
+          type: 'ciBuildRuns',
+          relationships: {
+            workflow: {
+              data: { type: 'ciWorkflows', id: workflowId },
+            },
+            sourceBranchOrTag: {
+              data: { type: 'scmGitReferences', id: gitReferenceId },
+            },
+          },
+        },
+      }),
+    });
+    return data.data;
+  }
+
+  async getBuildRun(buildRunId) {
+    const data = await this.request(`/ciBuildRuns/${buildRunId}?fields[ciBuildRuns]=number,executionProgress,completionStatus,startedDate`);
+    return data.data;
+  }
+
+  /**
+   * Get the Xcode Cloud product of the configured app
+   * @returns {Promise<object|null>} - null if the app has no Xcode Cloud product
+   */
+  async getAppCIProduct() {
+    const appId = await this.getAppId();
+    try {
+      const data = await this.request(`/apps/${appId}/ciProduct`);
+      return data?.data || null;
+    } catch (e) {
+      if (e.status === 404) return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Bring the cached build number -> commit index up to date with the app's Xcode Cloud runs.
+   * Runs are fetched newest first and only down to the last run known to be finished in each
+   * workflow, so finished runs are never fetched twice.
+   * @returns {Promise<{productId: string, builds: object, workflows: object}|null>} - null if the app has no Xcode Cloud product
+   */
+  async refreshBuildIndex() {
+    const product = await this.getAppCIProduct();
+    if (!product) {
+      return null;
+    }
+
+    let index = readState('build-index');
+    if (index.productId !== product.id || index.version !== BUILD_INDEX_VERSION) {
+      index = { version: BUILD_INDEX_VERSION, productId: product.id, builds: {}, workflows: {} };
+    }
+
+    for (const workflow of await this.getWorkflows(product.id)) {
+      // Every run numbered at or below this is finished and already indexed
+      const finishedThrough = index.workflows[workflow.id]?.finishedThrough || 0;
+      let newest = null;
+      let oldestUnfinished = null;
+
+      for await (const run of this.getBuildRuns(workflow.id)) {
+        const number = Number(run.attributes?.number);
+        if (!Number.isFinite(number)) continue;
+        if (number <= finishedThrough) break;
+
+        newest = newest ?? number;
+        if (run.attributes?.executionProgress !== 'COMPLETE') {
+          oldestUnfinished = number;
         }
+
+        index.builds[number] = {
+          commitSha: getRunCommitSHA(run),
+          workflowId: workflow.id,
+          workflowName: workflow.attributes?.name,
+          branch: run.branch,
+        };
+      }
+
+      if (newest !== null) {
+        index.workflows[workflow.id] = {
+          finishedThrough: oldestUnfinished !== null ? Math.max(finishedThrough, oldestUnfinished - 1) : newest,
+        };
       }
     }
 
-    return { found: false };
+    writeState('build-index', index);
+    return index;
+  }
+
+  /**
+   * Find the commit, workflow and branch of a build, from the index of the app's Xcode Cloud runs
+   * @returns {Promise<{found: boolean, commitSha?: string|null, workflowId?: string, workflowName?: string, branch?: string|null}>}
+   */
+  async getBuildCommitSHA(buildNumber) {
+    let index = readState('build-index');
+
+    if (!index.builds?.[buildNumber]?.commitSha) {
+      index = await this.refreshBuildIndex();
+    }
+
+    const entry = index?.builds?.[buildNumber];
+    if (!entry) {
+      return { found: false };
+    }
+
+    return { found: true, ...entry };
   }
 
   async cancelReview(versionId) {
@@ -379,16 +589,28 @@ export class AppStoreConnectAPI {
   async getOrCreateAppStoreVersion(versionString) {
     const appId = await this.getAppId();
     const versions = await this.getAppStoreVersions();
+    const releaseAttributes = getReleaseAttributes();
 
     const existingVersion = versions.data?.find(
       v => v.attributes.versionString === versionString
     );
 
     if (existingVersion) {
+      let releaseType = existingVersion.attributes.releaseType || null;
+
+      // Release type can only be changed while the version is still editable
+      const editableStates = ['PREPARE_FOR_SUBMISSION', 'DEVELOPER_REJECTED', 'REJECTED', 'METADATA_REJECTED'];
+      if (releaseAttributes && editableStates.includes(existingVersion.attributes.appStoreState)
+        && !releaseAttributesMatch(existingVersion.attributes, releaseAttributes)) {
+        await this.updateVersionAttributes(existingVersion.id, releaseAttributes);
+        releaseType = releaseAttributes.releaseType;
+      }
+
       return {
         exists: true,
         versionId: existingVersion.id,
         state: existingVersion.attributes.appStoreState,
+        releaseType,
       };
     }
 
@@ -400,6 +622,7 @@ export class AppStoreConnectAPI {
           attributes: {
             platform: 'IOS',
             versionString,
+            ...releaseAttributes,
           },
           relationships: {
             app: {
@@ -417,9 +640,45 @@ export class AppStoreConnectAPI {
       exists: false,
       versionId: createData.data.id,
       state: createData.data.attributes.appStoreState,
+      releaseType: createData.data.attributes.releaseType || null,
     };
   }
 
+  async updateVersionAttributes(versionId, attributes) {
+    await this.request(`/appStoreVersions/${versionId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({
+        data: {
+          type: 'appStoreVersions',
+          id: versionId,
+          attributes,
+        },
+      }),
+    });
+  }
+
+  /**
+   * Release a version that is waiting in PENDING_DEVELOPER_RELEASE
+   */
+  async releaseVersion(versionId) {
+    await this.request('/appStoreVersionReleaseRequests', {
+      method: 'POST',
+      body: JSON.stringify({
+        data: {
+          type: 'appStoreVersionReleaseRequests',
+          relationships: {
+            appStoreVersion: {
+              data: {
+                type: 'appStoreVersions',
+                id: versionId,
+              },
+            },
+          },
+        },
+      }),
+    });
+  }
+
   async selectBuildForVersion(versionId, buildId) {
     await this.request(`/appStoreVersions/${versionId}/relationships/build`, {
       method: 'PATCH',
@@ -432,63 +691,221 @@ export class AppStoreConnectAPI {
     });
   }
 
-  async updateReleaseNotes(versionId, releaseNotes, locale = 'en-US') {
-    const localizationsData = await this.request(
-      `/appStoreVersions/${versionId}/appStoreVersionLocalizations`
+  async getVersionLocalizations(versionId) {
+    const data = await this.requestAll(
+      `/appStoreVersions/${versionId}/appStoreVersionLocalizations?limit=${PAGE_LIMIT}`
     );
+    return data.data;
+  }
+
+  async updateLocalizationWhatsNew(localizationId, releaseNotes) {
+    await this.request(`/appStoreVersionLocalizations/${localizationId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({
+        data: {
+          type: 'appStoreVersionLocalizations',
+          id: localizationId,
+          attributes: {
+            whatsNew: releaseNotes,
+          },
+        },
+      }),
+    });
+  }
+
+  async createVersionLocalization(versionId, locale, releaseNotes) {
+    const createData = await this.request('/appStoreVersionLocalizations', {
+      method: 'POST',
+      body: JSON.stringify({
+        data: {
+          type: 'appStoreVersionLocalizations',
+          attributes: {
+            locale,
+            whatsNew: releaseNotes,
+          },
+          relationships: {
+            appStoreVersion: {
+              data: {
+                type: 'appStoreVersions',
+                id: versionId,
+              },
+            },
+          },
+        },
+      }),
+    });
+    return createData.data;
+  }
+
+  async updateReleaseNotes(versionId, releaseNotes, locale = 'en-US') {
+    const localizations = await this.getVersionLocalizations(versionId);
 
-    let localization = localizationsData.data?.find(
+    let localization = localizations.find(
       l => l.attributes.locale === locale
     );
 
     if (localization) {
-      await this.request(`/appStoreVersionLocalizations/${localization.id}`, {
+      await this.updateLocalizationWhatsNew(localization.id, releaseNotes);
+    } else {
+      await this.createVersionLocalization(versionId, locale, releaseNotes);
+    }
+  }
+
+  async submitForReview(versionId) {
+    await this.request('/appStoreVersionSubmissions', {
+      method: 'POST',
+      body: JSON.stringify({
+        data: {
+          type: 'appStoreVersionSubmissions',
+          relationships: {
+            appStoreVersion: {
+              data: {
+                type: 'appStoreVersions',
+                id: versionId,
+              },
+            },
+          },
+        },
+      }),
+    });
+  }
+
+  async getPhasedRelease(versionId) {
+    const data = await this.request(`/appStoreVersions/${versionId}/appStoreVersionPhasedRelease`);
+
+    if (!data?.data?.id) {
+      return null;
+    }
+
+    return {
+      id: data.data.id,
+      state: data.data.attributes.phasedReleaseState,
+      currentDayNumber: data.data.attributes.currentDayNumber || 0,
+      startDate: data.data.attributes.startDate || null,
+      totalPauseDuration: data.data.attributes.totalPauseDuration || 0,
+    };
+  }
+
+  async createPhasedRelease(versionId) {
+    const createData = await this.request('/appStoreVersionPhasedReleases', {
+      method: 'POST',
+      body: JSON.stringify({
+        data: {
+          type: 'appStoreVersionPhasedReleases',
+          attributes: {
+            phasedReleaseState: 'INACTIVE',
+          },
+          relationships: {
+            appStoreVersion: {
+              data: {
+                type: 'appStoreVersions',
+                id: versionId,
+              },
+            },
+          },
+        },
+      }),
+    });
+
+    return createData.data.id;
+  }
+
+  /**
+   * Change a phased release's state
+   * @param {string} phasedReleaseId
+   * @param {string} state - 'ACTIVE' (resume), 'PAUSED' or 'COMPLETE' (release to all users)
+   */
+  async updatePhasedRelease(phasedReleaseId, state) {
+    const data = await this.request(`/appStoreVersionPhasedReleases/${phasedReleaseId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({
+        data: {
+          type: 'appStoreVersionPhasedReleases',
+          id: phasedReleaseId,
+          attributes: {
+            phasedReleaseState: state,
+          },
+        },
+      }),
+    });
+
+    return data.data.attributes.phasedReleaseState;
+  }
+
+  async getBetaGroups() {
+    const appId = await this.getAppId();
+    const data = await this.requestAll(`/apps/${appId}/betaGroups?limit=${PAGE_LIMIT}`);
+    return data.data;
+  }
+
+  async addBuildToBetaGroups(buildId, betaGroupIds) {
+    await this.request(`/builds/${buildId}/relationships/betaGroups`, {
+      method: 'POST',
+      body: JSON.stringify({
+        data: betaGroupIds.map(id => ({ type: 'betaGroups', id })),
+      }),
+    });
+  }
+
+  /**
+   * Set a build's "What to Test" text for a locale, creating the localization if needed
+   */
+  async updateWhatToTest(buildId, whatToTest, locale = 'en-US') {
+    const data = await this.requestAll(`/builds/${buildId}/betaBuildLocalizations?limit=${PAGE_LIMIT}`);
+    const localization = data.data.find(l => l.attributes.locale === locale);
+
+    if (localization) {
+      await this.request(`/betaBuildLocalizations/${localization.id}`, {
         method: 'PATCH',
         body: JSON.stringify({
           data: {
-            type: 'appStoreVersionLocalizations',
+            type: 'betaBuildLocalizations',
             id: localization.id,
             attributes: {
-              whatsNew: releaseNotes,
+              whatsNew: whatToTest,
             },
           },
         }),
       });
-    } else {
-      await this.request('/appStoreVersionLocalizations', {
-        method: 'POST',
-        body: JSON.stringify({
-          data: {
-            type: 'appStoreVersionLocalizations',
-            attributes: {
-              locale,
-              whatsNew: releaseNotes,
-            },
-            relationships: {
-              appStoreVersion: {
-                data: {
-                  type: 'appStoreVersions',
-                  id: versionId,
-                },
+      return;
+    }
+
+    await this.request('/betaBuildLocalizations', {
+      method: 'POST',
+      body: JSON.stringify({
+        data: {
+          type: 'betaBuildLocalizations',
+          attributes: {
+            locale,
+            whatsNew: whatToTest,
+          },
+          relationships: {
+            build: {
+              data: {
+                type: 'builds',
+                id: buildId,
               },
             },
           },
-        }),
-      });
-    }
+        },
+      }),
+    });
   }
 
-  async submitForReview(versionId) {
-    await this.request('/appStoreVersionSubmissions', {
+  /**
+   * Submit a build for external TestFlight (beta app) review
+   */
+  async submitForBetaReview(buildId) {
+    await this.request('/betaAppReviewSubmissions', {
       method: 'POST',
       body: JSON.stringify({
         data: {
-          type: 'appStoreVersionSubmissions',
+          type: 'betaAppReviewSubmissions',
           relationships: {
-            appStoreVersion: {
+            build: {
               data: {
-                type: 'appStoreVersions',
-                id: versionId,
+                type: 'builds',
+                id: buildId,
               },
             },
           },
@@ -500,7 +917,7 @@ export class AppStoreConnectAPI {
   async getBuildByNumber(buildNumber) {
     const appId = await this.getAppId();
     const data = await this.request(
-      `/builds?filter[app]=${appId}&filter[version]=${buildNumber}&include=preReleaseVersion&limit=1`
+      `/builds?filter[app]=${appId}&filter[version]=${buildNumber}&include=preReleaseVersion,buildBetaDetail&limit=1`
     );
 
     if (!data.data?.[0]) {
@@ -516,11 +933,16 @@ export class AppStoreConnectAPI {
       versionString = preRelease?.attributes?.version || 'unknown';
     }
 
+    const betaDetailId = build.relationships?.buildBetaDetail?.data?.id;
+    const betaDetail = betaDetailId && data.included?.find(i => i.type === 'buildBetaDetails' && i.id === betaDetailId);
+
     return {
       buildId: build.id,
       buildNumber: build.attributes.version,
       version: versionString,
       processingState: build.attributes.processingState,
+      betaState: betaDetail?.attributes?.externalBuildState || 'unknown',
+      uploadedDate: build.attributes.uploadedDate || null,
     };
   }
 }
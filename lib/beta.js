@@ -0,0 +1,139 @@
+import { CONFIG, log } from './config.js';
+import { capReleaseNotes, DEFAULT_RELEASE_NOTES } from './release-notes.js';
+import { findEvents, hasEvent, recordEvent } from './history.js';
+
+// External beta states in which testers outside the team can install the build
+const AVAILABLE_STATES = ['IN_BETA_TESTING'];
+
+/**
+ * Get the beta groups configured for the workflow that made a build
+ * @param {{workflowId: string, workflowName: string}} commitInfo - From getBuildCommitSHA()
+ * @returns {string[]|null} - Beta group names or IDs, or null if the workflow is not a beta workflow
+ */
+export function getBetaGroupsForWorkflow(commitInfo) {
+  const mapping = CONFIG.betaGroups;
+  return mapping[commitInfo.workflowId] || mapping[commitInfo.workflowName] || null;
+}
+
+/**
+ * Get "What to Test" from the PR's release notes, falling back to its title
+ */
+async function getWhatToTest(github, prNumber) {
+  if (!prNumber) return DEFAULT_RELEASE_NOTES;
+
+  const prDetails = await github.getPRDetails(prNumber).catch((e) => {
+    log.warn(`Could not get PR #${prNumber}: ${e.message}`);
+    return null;
+  });
+  if (!prDetails) return DEFAULT_RELEASE_NOTES;
+
+  const sections = github.findReleaseNotesSections(prDetails.body);
+  const notes = sections[CONFIG.releaseNotesDefaultLocale.toLowerCase()] || sections.default || prDetails.title;
+  return notes ? capReleaseNotes(notes) : DEFAULT_RELEASE_NOTES;
+}
+
+/**
+ * Distribute a build from a beta workflow to its TestFlight beta groups: add it to the groups,
+ * set "What to Test", submit it for beta review if an external group needs that, and comment
+ * on the PR once testers can install it. Safe to run again for the same build.
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubAPI} github
+ * @param {Notifier} notifier
+ * @param {object} build - From getLatestTestFlightReadyBuild()
+ * @param {object} commitInfo - From getBuildCommitSHA()
+ * @param {string[]} groupNames - Beta group names or IDs
+ * @param {boolean} DRY_RUN
+ */
+export async function runBetaDistribution(asc, github, notifier, build, commitInfo, groupNames, DRY_RUN) {
+  log(`Build #${build.buildNumber} is from beta workflow '${commitInfo.workflowName}' - distributing to ${groupNames.join(', ')}`);
+
+  const allGroups = await asc.getBetaGroups();
+  const groups = groupNames
+    .map(name => allGroups.find(group => group.id === name || group.attributes.name === name))
+    .filter(Boolean);
+  const unknown = groupNames.filter(name => !allGroups.some(group => group.id === name || group.attributes.name === name));
+  if (unknown.length > 0) {
+    log.warn(`Unknown beta group(s): ${unknown.join(', ')}`);
+  }
+  if (groups.length === 0) {
+    log.error(`None of the beta groups for '${commitInfo.workflowName}' exist`);
+    return;
+  }
+
+  const external = groups.some(group => !group.attributes.isInternalGroup);
+  const prNumber = await github.findPRFromCommit(commitInfo.commitSha);
+  const distributed = findEvents({ type: 'beta-distributed', buildNumber: build.buildNumber })[0];
+  let whatToTest = distributed?.whatToTest;
+
+  if (!distributed) {
+    whatToTest = await getWhatToTest(github, prNumber);
+    log(`What to Test: ${whatToTest}`);
+
+    if (DRY_RUN) {
+      log(`[DRY RUN] Would add build #${build.buildNumber} to ${groups.map(group => group.attributes.name).join(', ')}`);
+      if (external && build.betaState === 'READY_FOR_BETA_SUBMISSION') {
+        log('[DRY RUN] Would submit the build for beta review');
+      }
+      return;
+    }
+
+    await asc.addBuildToBetaGroups(build.buildId, groups.map(group => group.id));
+    log(`Added build #${build.buildNumber} to ${groups.map(group => group.attributes.name).join(', ')}`, { buildNumber: build.buildNumber, version: build.version });
+
+    await asc.updateWhatToTest(build.buildId, whatToTest, CONFIG.releaseNotesDefaultLocale);
+    log('Updated What to Test');
+
+    recordEvent('beta-distributed', {
+      buildNumber: build.buildNumber,
+      version: build.version,
+      prNumber,
+      groups: groups.map(group => group.attributes.name),
+      whatToTest,
+    });
+  }
+
+  // External testers need an approved beta review; internal testers get the build right away
+  if (external) {
+    if (build.betaState === 'READY_FOR_BETA_SUBMISSION') {
+      if (DRY_RUN) {
+        log('[DRY RUN] Would submit the build for beta review');
+        return;
+      }
+      log(`Submitting build #${build.buildNumber} for beta review...`, { buildNumber: build.buildNumber, version: build.version });
+      await asc.submitForBetaReview(build.buildId);
+      return;
+    }
+    if (build.betaState === 'MISSING_EXPORT_COMPLIANCE') {
+      log.warn(`Build #${build.buildNumber} is missing export compliance information - it can't be submitted for beta review`);
+      return;
+    }
+    if (!AVAILABLE_STATES.includes(build.betaState)) {
+      log(`Build #${build.buildNumber} is ${build.betaState} - waiting for external testing`);
+      return;
+    }
+  }
+
+  if (hasEvent({ type: 'beta-available', buildNumber: build.buildNumber })) {
+    log(`Build #${build.buildNumber} is already available to testers`);
+    return;
+  }
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would announce build #${build.buildNumber} as available to testers`);
+    return;
+  }
+
+  const groupList = groups.map(group => group.attributes.name).join(', ');
+  recordEvent('beta-available', { buildNumber: build.buildNumber, version: build.version, prNumber, groups: groupList });
+
+  const { prCommented } = await notifier.notify('beta-available', {
+    buildNumber: build.buildNumber,
+    version: build.version,
+    prNumber,
+    groups: groupList,
+    whatToTest,
+  });
+  if (prCommented) {
+    log(`Added beta availability comment to PR #${prNumber}`);
+  }
+}
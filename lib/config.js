@@ -1,35 +1,379 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT_DIR = path.join(__dirname, '..');
 
+// The app currently being processed (set by runWithApp when using an apps config file)
+const appContext = new AsyncLocalStorage();
+
+/**
+ * Read a per-app setting: the active app entry wins, then the environment variable
+ * @param {string} key - Key in the apps config file entry
+ * @param {string} envVar - Environment variable used in single-app mode
+ */
+function appSetting(key, envVar, fallback = '') {
+  const app = appContext.getStore();
+  if (app && app[key] !== undefined && app[key] !== null) {
+    return String(app[key]);
+  }
+  return process.env[envVar] || fallback;
+}
+
+/**
+ * Read a per-app list setting (array in the apps config file, comma-separated env var)
+ */
+function appListSetting(key, envVar) {
+  return appSetting(key, envVar).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the notifier list: the active app entry's "notifiers", else the NOTIFIERS_CONFIG file
+ */
+function notifierSettings() {
+  const app = appContext.getStore();
+  if (app?.notifiers) {
+    return app.notifiers;
+  }
+
+  const file = process.env.NOTIFIERS_CONFIG;
+  if (!file) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid notifiers config file ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Read the workflow -> TestFlight beta groups mapping: the active app entry's "betaGroups", else
+ * the BETA_GROUPS environment variable (JSON). Keys are workflow IDs or names, values a group
+ * name or ID or a list of them.
+ * @returns {Object<string, string[]>}
+ */
+function betaGroupSettings() {
+  const app = appContext.getStore();
+  let mapping = app?.betaGroups;
+
+  if (!mapping && process.env.BETA_GROUPS) {
+    try {
+      mapping = JSON.parse(process.env.BETA_GROUPS);
+    } catch (e) {
+      throw new Error(`BETA_GROUPS must be a JSON object of workflow -> beta groups: ${e.message}`);
+    }
+  }
+  if (!mapping) {
+    return {};
+  }
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('Beta groups must map workflow IDs or names to beta group names');
+  }
+
+  return Object.fromEntries(Object.entries(mapping).map(([workflow, groups]) => [workflow, [].concat(groups).map(String)]));
+}
+
+/**
+ * Read a non-negative number from an environment variable
+ */
+function numberSetting(envVar, fallback) {
+  return parseNumberSetting(envVar, process.env[envVar], fallback);
+}
+
+/**
+ * Read a per-app non-negative number setting (apps config file entry, else environment variable)
+ */
+function appNumberSetting(key, envVar, fallback) {
+  return parseNumberSetting(envVar, appSetting(key, envVar), fallback);
+}
+
+function parseNumberSetting(envVar, value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${envVar} must be a non-negative number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Read the daemon settings (shared by all apps); intervals and delays are in seconds
+ */
+function daemonSettings() {
+  const deployInterval = numberSetting('DAEMON_DEPLOY_INTERVAL', 300);
+
+  return {
+    // Task name -> interval; 0 disables the task
+    intervals: {
+      'reject-check': numberSetting('DAEMON_REJECT_CHECK_INTERVAL', deployInterval),
+      'deploy': deployInterval,
+      'sync': numberSetting('DAEMON_SYNC_INTERVAL', 900),
+    },
+    jitter: numberSetting('DAEMON_JITTER', 30),
+    failureThreshold: numberSetting('DAEMON_FAILURE_THRESHOLD', 3),
+    maxBackoff: numberSetting('DAEMON_MAX_BACKOFF', 3600),
+    healthHost: process.env.DAEMON_HEALTH_HOST || '127.0.0.1',
+    healthPort: numberSetting('DAEMON_HEALTH_PORT', 8787),
+  };
+}
+
+/**
+ * Read the webhook receiver settings (shared by all apps); debounce is in seconds
+ */
+function webhookSettings() {
+  return {
+    host: process.env.WEBHOOK_HOST || '0.0.0.0',
+    port: numberSetting('WEBHOOK_PORT', 8788),
+    debounce: numberSetting('WEBHOOK_DEBOUNCE', 10),
+  };
+}
+
 // Configuration - use getters to read env vars at runtime (after dotenv loads)
 export const CONFIG = {
-  get appId() { return process.env.APP_ID || ''; },
-  get appIdentifier() { return process.env.APP_BUNDLE_ID || ''; },
-  get appName() { return process.env.APP_NAME || ''; },
-  get repoOwner() { return process.env.GITHUB_REPO_OWNER || ''; },
-  get repoName() { return process.env.GITHUB_REPO_NAME || ''; },
-  get workflowId() { return process.env.XCODE_WORKFLOW_ID || ''; },
-  get iosRepoPath() { return process.env.IOS_REPO_PATH || ''; },
+  get appKey() { return appContext.getStore()?.key || ''; },
+  get appId() { return appSetting('appId', 'APP_ID'); },
+  get appIdentifier() { return appSetting('bundleId', 'APP_BUNDLE_ID'); },
+  get appName() { return appSetting('appName', 'APP_NAME'); },
+  get repoOwner() { return appSetting('repoOwner', 'GITHUB_REPO_OWNER'); },
+  get repoName() { return appSetting('repoName', 'GITHUB_REPO_NAME'); },
+  get githubApiUrl() { return appSetting('githubApiUrl', 'GITHUB_API_URL', 'https://api.github.com').replace(/\/+$/, ''); },
+  get workflows() { return appListSetting('workflowId', 'XCODE_WORKFLOW_ID'); },
+  get hotfixWorkflows() { return appListSetting('hotfixWorkflows', 'HOTFIX_WORKFLOWS'); },
+  get hotfixBranches() { return appListSetting('hotfixBranches', 'HOTFIX_BRANCHES'); },
+  get mainBranch() { return appSetting('mainBranch', 'MAIN_BRANCH', 'main'); },
+  get iosRepoPath() { return appSetting('iosRepoPath', 'IOS_REPO_PATH'); },
+  get triggerWorkflow() { return appSetting('triggerWorkflow', 'TRIGGER_WORKFLOW'); },
+  get triggerStartTimeout() { return appNumberSetting('triggerStartTimeout', 'TRIGGER_START_TIMEOUT', 300); },
+  get triggerBranch() { return appSetting('triggerBranch', 'TRIGGER_BRANCH', 'develop'); },
+  get versionBump() { return appSetting('versionBump', 'VERSION_BUMP').toLowerCase(); },
+  get versionBumpScript() { return appSetting('versionBumpScript', 'VERSION_BUMP_SCRIPT'); },
+  get tagTemplate() { return appSetting('tagTemplate', 'TAG_TEMPLATE', 'v{{version}}-{{buildNumber}}'); },
+  get tagMessageTemplate() { return appSetting('tagMessageTemplate', 'TAG_MESSAGE_TEMPLATE', 'Production release: version {{version}}, build {{buildNumber}}'); },
+  get releaseNotesDefaultLocale() { return appSetting('releaseNotesDefaultLocale', 'RELEASE_NOTES_DEFAULT_LOCALE', 'en-US'); },
+  get releaseNotesLocales() { return appListSetting('releaseNotesLocales', 'RELEASE_NOTES_LOCALES'); },
+  get releaseNotesPath() { return appSetting('releaseNotesPath', 'RELEASE_NOTES_PATH'); },
+  get rejectionIssue() { return appSetting('rejectionIssue', 'REJECTION_ISSUE') === 'true'; },
+  get rejectionIssueLabels() { return appListSetting('rejectionIssueLabels', 'REJECTION_ISSUE_LABELS'); },
+  get phasedRelease() { return appSetting('phasedRelease', 'PHASED_RELEASE') === 'true'; },
+  get githubRelease() { return appSetting('githubRelease', 'GITHUB_RELEASE') === 'true'; },
+  get changelogLabels() { return appListSetting('changelogLabels', 'CHANGELOG_LABELS'); },
+  get releaseType() { return appSetting('releaseType', 'RELEASE_TYPE'); },
+  get earliestReleaseDate() { return appSetting('earliestReleaseDate', 'EARLIEST_RELEASE_DATE'); },
+  get submitMinSoakHours() { return appSetting('minSoakHours', 'SUBMIT_MIN_SOAK_HOURS'); },
+  get submitDays() { return appListSetting('submitDays', 'SUBMIT_DAYS'); },
+  get submitHours() { return appSetting('submitHours', 'SUBMIT_HOURS'); },
+  get submitTimezone() { return appSetting('submitTimezone', 'SUBMIT_TIMEZONE', 'UTC'); },
+  get submitBlackoutDates() { return appListSetting('blackoutDates', 'SUBMIT_BLACKOUT_DATES'); },
+  get submitBlockingLabels() { return appListSetting('blockingLabels', 'SUBMIT_BLOCKING_LABELS'); },
+  get submitRequiredBetaStates() { return appListSetting('requiredBetaState', 'SUBMIT_REQUIRED_BETA_STATE'); },
+  get betaGroups() { return betaGroupSettings(); },
+  get notifiers() { return notifierSettings(); },
+  get webhookSecret() { return appSetting('webhookSecret', 'WEBHOOK_SECRET'); },
+  get daemon() { return daemonSettings(); },
+  get webhook() { return webhookSettings(); },
+  get logging() { return loggingSettings(); },
+  get metricsFile() { return process.env.METRICS_FILE ? path.resolve(ROOT_DIR, process.env.METRICS_FILE) : null; },
+  get appsConfigPath() { return process.env.APPS_CONFIG || path.join(ROOT_DIR, 'apps.json'); },
   apiBaseUrl: 'https://api.appstoreconnect.apple.com/v1',
   rootDir: ROOT_DIR,
 };
 
+/**
+ * Load app entries from the apps config file
+ * @returns {Array<object>|null} - App entries, or null when no config file exists (single-app mode)
+ */
+export function loadApps() {
+  const configPath = CONFIG.appsConfigPath;
+
+  if (!fs.existsSync(configPath)) {
+    if (process.env.APPS_CONFIG) {
+      throw new Error(`Apps config file not found: ${configPath}`);
+    }
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid apps config file ${configPath}: ${e.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed.apps;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Apps config file ${configPath} must list at least one app`);
+  }
+
+  const defaults = Array.isArray(parsed) ? {} : (parsed.defaults || {});
+  const seenKeys = new Set();
+
+  return entries.map((entry, index) => {
+    const app = { ...defaults, ...entry };
+    app.key = app.key || app.bundleId;
+
+    if (!app.key || !/^[A-Za-z0-9._-]+$/.test(app.key)) {
+      throw new Error(`App #${index + 1} in ${configPath} needs a "key" made of letters, digits, '.', '_' or '-'`);
+    }
+    if (seenKeys.has(app.key)) {
+      throw new Error(`Duplicate app key "${app.key}" in ${configPath}`);
+    }
+    seenKeys.add(app.key);
+
+    return app;
+  });
+}
+
+/**
+ * Run a function with the given app entry as the active configuration
+ * @param {object} app - App entry from loadApps()
+ * @param {Function} fn - Function to run
+ */
+export function runWithApp(app, fn) {
+  return appContext.run(app, fn);
+}
+
 // Logging
 const LOG_FILE = path.join(ROOT_DIR, 'logs', 'merge4appstore.log');
 
-export function log(message) {
-  const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
-  const line = `${timestamp} - ${message}`;
-  console.log(line);
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+
+// Text lines keep the prefixes messages had before there were levels
+const TEXT_LEVEL_PREFIXES = { debug: 'DEBUG: ', info: '', warn: 'Warning: ', error: 'ERROR: ' };
+
+// The run each log line belongs to: one per process, or per task run in the daemon and webhook receiver
+const runContext = new AsyncLocalStorage();
+const PROCESS_RUN_ID = newRunId();
+
+function newRunId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Run a function as a new run, so its log lines get their own run ID
+ */
+export function withRunId(fn) {
+  return runContext.run({ runId: newRunId() }, fn);
+}
+
+/**
+ * Read the logging settings (shared by all apps); sizes are in megabytes
+ */
+function loggingSettings() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}, got "${process.env.LOG_LEVEL}"`);
+  }
+
+  const format = (process.env.LOG_FORMAT || 'text').toLowerCase();
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}, got "${process.env.LOG_FORMAT}"`);
+  }
+
+  return {
+    level,
+    format,
+    // 0 turns off rotation by size
+    maxSizeMB: numberSetting('LOG_MAX_SIZE_MB', 10),
+    daily: process.env.LOG_ROTATE_DAILY === 'true',
+    // Rotated files to keep: merge4appstore.log.1 (newest) to .<retention>
+    retention: Math.floor(numberSetting('LOG_RETENTION', 5)),
+  };
+}
+
+// Read once, on the first line logged (after dotenv has loaded); main() reports invalid settings
+let cachedLogSettings = null;
+
+function logSettings() {
+  if (!cachedLogSettings) {
+    try {
+      cachedLogSettings = loggingSettings();
+    } catch (e) {
+      cachedLogSettings = { level: 'info', format: 'text', maxSizeMB: 10, daily: false, retention: 5 };
+    }
+  }
+  return cachedLogSettings;
+}
+
+// Log lines go to stdout unless a command prints machine-readable output there (e.g. status --json)
+let logToStderr = false;
+
+export function sendLogsToStderr() {
+  logToStderr = true;
+}
+
+/**
+ * Move the log file aside when it is too big or was last written on an earlier day (UTC),
+ * keeping the newest rotated files
+ */
+function rotateLogFile(settings, incomingBytes) {
+  let stats;
+  try {
+    stats = fs.statSync(LOG_FILE);
+  } catch (e) {
+    return;
+  }
+
+  const tooBig = settings.maxSizeMB > 0 && stats.size + incomingBytes > settings.maxSizeMB * 1024 * 1024;
+  const newDay = settings.daily && stats.size > 0
+    && stats.mtime.toISOString().substring(0, 10) !== new Date().toISOString().substring(0, 10);
+  if (!tooBig && !newDay) return;
+
+  fs.rmSync(`${LOG_FILE}.${settings.retention}`, { force: true });
+  for (let i = settings.retention - 1; i >= 1; i--) {
+    if (fs.existsSync(`${LOG_FILE}.${i}`)) {
+      fs.renameSync(`${LOG_FILE}.${i}`, `${LOG_FILE}.${i + 1}`);
+    }
+  }
+
+  if (settings.retention > 0) {
+    fs.renameSync(LOG_FILE, `${LOG_FILE}.1`);
+  } else {
+    fs.rmSync(LOG_FILE, { force: true });
+  }
+}
+
+function writeLog(level, message, fields = {}) {
+  const settings = logSettings();
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+
+  const now = new Date();
+  const runId = runContext.getStore()?.runId || PROCESS_RUN_ID;
+  const { app = CONFIG.appKey || undefined, ...details } = fields;
+
+  const line = settings.format === 'json'
+    ? JSON.stringify({ time: now.toISOString(), level, runId, app, msg: message, ...details })
+    : `${now.toISOString().replace('T', ' ').substring(0, 19)} ${runId} - ${app ? `[${app}] ` : ''}${TEXT_LEVEL_PREFIXES[level]}${message}`;
+
+  (logToStderr ? console.error : console.log)(line);
   try {
     fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+    rotateLogFile(settings, Buffer.byteLength(line) + 1);
     fs.appendFileSync(LOG_FILE, line + '\n');
   } catch (e) {
     // Ignore logging errors
   }
 }
+
+/**
+ * Log a line at info level. log.debug, log.warn and log.error log at the other levels.
+ * @param {string} message
+ * @param {object} [fields] - Extra JSON fields, e.g. { buildNumber, version }; app overrides the active app
+ */
+export function log(message, fields) {
+  writeLog('info', message, fields);
+}
+
+log.debug = (message, fields) => writeLog('debug', message, fields);
+log.info = (message, fields) => writeLog('info', message, fields);
+log.warn = (message, fields) => writeLog('warn', message, fields);
+log.error = (message, fields) => writeLog('error', message, fields);
@@ -0,0 +1,174 @@
+import http from 'http';
+import { CONFIG, log, withRunId } from './config.js';
+import { METRICS_CONTENT_TYPE } from './metrics.js';
+
+/**
+ * Delay before a task's next run: its interval, doubled for every failure from the
+ * failure threshold on (capped at maxBackoff), plus random jitter
+ */
+function nextDelaySeconds(interval, consecutiveFailures, settings) {
+  let delay = interval;
+  if (settings.failureThreshold > 0 && consecutiveFailures >= settings.failureThreshold) {
+    const backoff = interval * Math.pow(2, consecutiveFailures - settings.failureThreshold + 1);
+    delay = Math.max(interval, Math.min(backoff, settings.maxBackoff));
+  }
+  return delay + Math.random() * settings.jitter;
+}
+
+function toISOString(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Run tasks on their own intervals until SIGTERM or SIGINT.
+ * Tasks run one at a time; a signal lets the running task finish before returning.
+ * @param {string[]} taskNames - Tasks to schedule, in start-up order (e.g. 'reject-check', 'deploy', 'sync')
+ * @param {Function} runTask - async (name) => boolean; false if the run failed
+ * @param {Function} metrics - () => string; Prometheus text served on /metrics
+ * @returns {Promise<void>} - Resolves once stopped
+ */
+export async function runDaemon(taskNames, runTask, metrics) {
+  const settings = CONFIG.daemon;
+  const startedAt = Date.now();
+
+  const tasks = taskNames
+    .filter(name => settings.intervals[name] > 0)
+    .map(name => ({
+      name,
+      interval: settings.intervals[name],
+      nextRunAt: startedAt,
+      lastRunAt: null,
+      lastResult: null,
+      lastDurationMs: null,
+      consecutiveFailures: 0,
+    }));
+
+  if (tasks.length === 0) {
+    throw new Error('Every daemon task is disabled (all intervals are 0)');
+  }
+
+  let stopping = false;
+  let running = null;
+  let wake = null;
+
+  const sleep = (ms) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => { clearTimeout(timer); resolve(); };
+  });
+
+  const health = () => {
+    const failing = tasks.some(task => settings.failureThreshold > 0 && task.consecutiveFailures >= settings.failureThreshold);
+    return {
+      status: stopping ? 'stopping' : (failing ? 'failing' : 'ok'),
+      startedAt: toISOString(startedAt),
+      running,
+      tasks: Object.fromEntries(tasks.map(task => [task.name, {
+        interval: task.interval,
+        lastRunAt: toISOString(task.lastRunAt),
+        lastResult: task.lastResult,
+        lastDurationMs: task.lastDurationMs,
+        consecutiveFailures: task.consecutiveFailures,
+        nextRunAt: toISOString(task.nextRunAt),
+      }])),
+    };
+  };
+
+  const server = settings.healthPort > 0 ? await startHealthServer(settings, health, metrics) : null;
+
+  const shutdown = (signal) => {
+    if (stopping) {
+      log(`${signal} received again - exiting without waiting`);
+      process.exit(1);
+    }
+    stopping = true;
+    log(`${signal} received - ${running ? `letting ${running} finish before stopping` : 'stopping'}`);
+    wake?.();
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  log(`Daemon started: ${tasks.map(task => `${task.name} every ${task.interval}s`).join(', ')}`);
+
+  while (!stopping) {
+    const task = tasks.reduce((earliest, candidate) => (candidate.nextRunAt < earliest.nextRunAt ? candidate : earliest));
+    const wait = task.nextRunAt - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+      continue;
+    }
+
+    running = task.name;
+    task.lastRunAt = Date.now();
+
+    // Each run gets its own run ID in the logs
+    const ok = await withRunId(async () => {
+      try {
+        return await runTask(task.name);
+      } catch (e) {
+        log.error(`${task.name} failed: ${e.message}`);
+        return false;
+      }
+    });
+
+    running = null;
+    task.lastDurationMs = Date.now() - task.lastRunAt;
+    task.lastResult = ok ? 'ok' : 'failed';
+    task.consecutiveFailures = ok ? 0 : task.consecutiveFailures + 1;
+
+    const delay = nextDelaySeconds(task.interval, task.consecutiveFailures, settings);
+    task.nextRunAt = Date.now() + delay * 1000;
+
+    if (!ok && settings.failureThreshold > 0 && task.consecutiveFailures >= settings.failureThreshold) {
+      log.warn(`${task.name} failed ${task.consecutiveFailures} times in a row - next run in ${Math.round(delay)}s`);
+    }
+  }
+
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+  }
+  log('Daemon stopped');
+}
+
+/**
+ * Serve GET /health with the daemon's status: 200 while healthy, 503 when failing or stopping.
+ * GET /metrics serves the pipeline metrics for Prometheus.
+ */
+function startHealthServer(settings, health, metrics) {
+  const server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (req.method === 'GET' && pathname === '/metrics') {
+      let body;
+      try {
+        body = metrics();
+      } catch (e) {
+        log.error(`Failed to render metrics: ${e.message}`);
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Failed to render metrics\n');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+      res.end(body);
+      return;
+    }
+    if (req.method !== 'GET' || (pathname !== '/health' && pathname !== '/')) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    const report = health();
+    res.writeHead(report.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(report, null, 2) + '\n');
+  });
+
+  // Keep-alive connections must not hold up shutdown
+  server.keepAliveTimeout = 1000;
+
+  return new Promise((resolve, reject) => {
+    server.once('error', (e) => reject(new Error(`Health endpoint could not listen on ${settings.healthHost}:${settings.healthPort}: ${e.message}`)));
+    server.listen(settings.healthPort, settings.healthHost, () => {
+      log(`Health endpoint: http://${settings.healthHost}:${settings.healthPort}/health (metrics on /metrics)`);
+      resolve(server);
+    });
+  });
+}
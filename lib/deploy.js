@@ -1,7 +1,15 @@
 import { CONFIG, log } from './config.js';
-
-export async function runDeployCheck(asc, github, DRY_RUN) {
+import { buildReleaseNotes, updateLocalizedReleaseNotes } from './release-notes.js';
+import { hasEvent, recordEvent, recordFirstEvent } from './history.js';
+import { Notifier } from './notify.js';
+import { getPolicyViolations } from './policy.js';
+import { getBetaGroupsForWorkflow, runBetaDistribution } from './beta.js';
+import { isTargetWorkflow } from './workflows.js';
+import { findHotfixBuild, hotfixesConfigured, isHotfixBuild } from './hotfix.js';
+
+export async function runDeployCheck(asc, tags, github, DRY_RUN) {
   log('--- Deploy Check ---');
+  const notifier = new Notifier(github);
 
   // Step 1: Check if a build is already in review
   log('Checking if a build is already in review...');
@@ -11,16 +19,27 @@ export async function runDeployCheck(asc, github, DRY_RUN) {
     log(`Build #${reviewStatus.buildNumber} (v${reviewStatus.version}) is currently ${reviewStatus.state}`);
   }
 
-  // Step 2: Get latest TestFlight build ready for submission
+  // Remember when the review passed, for the review duration metric
+  if (reviewStatus.state === 'PENDING_DEVELOPER_RELEASE' && !DRY_RUN) {
+    recordFirstEvent('approved', reviewStatus);
+  }
+
+  // Step 2: Get latest TestFlight build ready for submission - a hotfix build goes ahead of newer mainline builds
   log('Checking for latest TestFlight build...');
-  const latestBuild = await asc.getLatestTestFlightReadyBuild();
+  let latestBuild = await asc.getLatestTestFlightReadyBuild();
 
   if (!latestBuild.found) {
     log('No TestFlight builds ready for App Store submission');
     return;
   }
 
-  log(`Latest TestFlight build: #${latestBuild.buildNumber} (v${latestBuild.version})`);
+  log(`Latest TestFlight build: #${latestBuild.buildNumber} (v${latestBuild.version})`, { buildNumber: latestBuild.buildNumber, version: latestBuild.version });
+
+  const hotfix = await findHotfixBuild(asc);
+  if (hotfix && hotfix.build.buildNumber !== latestBuild.buildNumber) {
+    latestBuild = hotfix.build;
+    log(`Hotfix build #${latestBuild.buildNumber} (v${latestBuild.version}) from ${hotfix.commitInfo.branch || `'${hotfix.commitInfo.workflowName}'`} goes first`, { buildNumber: latestBuild.buildNumber, version: latestBuild.version });
+  }
 
   // Step 3: Check if this build is already live
   log('Checking if build is already live...');
@@ -40,30 +59,51 @@ export async function runDeployCheck(asc, github, DRY_RUN) {
     return;
   }
 
-  // Step 5: Check which workflow built this
-  if (CONFIG.workflowId && commitInfo.workflowId !== CONFIG.workflowId) {
-    log(`Build #${latestBuild.buildNumber} is from '${commitInfo.workflowName}' (${commitInfo.workflowId}), not target workflow ${CONFIG.workflowId} - skipping`);
+  // Step 5: Check which workflow built this - beta workflows go to TestFlight testers instead
+  const betaGroups = getBetaGroupsForWorkflow(commitInfo);
+  if (betaGroups) {
+    await runBetaDistribution(asc, github, notifier, latestBuild, commitInfo, betaGroups, DRY_RUN);
+    return;
+  }
+
+  const isHotfix = isHotfixBuild(commitInfo);
+  if (!isHotfix && !isTargetWorkflow(commitInfo)) {
+    log(`Build #${latestBuild.buildNumber} is from '${commitInfo.workflowName}' (${commitInfo.workflowId}), not a target workflow (${CONFIG.workflows.join(', ')}) - skipping`);
     return;
   }
 
-  log(`Build #${latestBuild.buildNumber} is from '${commitInfo.workflowName}' workflow`);
+  log(`Build #${latestBuild.buildNumber} is from '${commitInfo.workflowName}' workflow${commitInfo.branch ? ` on ${commitInfo.branch}` : ''}${isHotfix ? ' (hotfix)' : ''}`);
   log(`Build #${latestBuild.buildNumber} is from commit: ${commitInfo.commitSha.substring(0, 7)}`);
 
   // Step 6: Find the PR that introduced this commit
-  const prNumber = github.findPRFromCommit(commitInfo.commitSha);
-  let releaseNotes = 'Bug fixes and improvements';
+  const prNumber = await github.findPRFromCommit(commitInfo.commitSha);
 
   if (prNumber) {
     log(`Found PR #${prNumber} for this build`);
+  } else if (reviewStatus.inReview) {
+    log(`Build #${latestBuild.buildNumber} is not from a merged PR, skipping (build #${reviewStatus.buildNumber} already in review)`);
+    return;
+  } else {
+    log('No PR found for commit');
+  }
 
-    const prDetails = github.getPRDetails(prNumber);
-    if (prDetails) {
-      releaseNotes = github.extractReleaseNotes(prDetails.body, prDetails.title);
-      log(`Release notes from PR #${prNumber}: ${releaseNotes}`);
-    }
+  // Step 7: Only a newer build replaces the one in review. A hotfix replaces a mainline build
+  // whatever their numbers, and a mainline build never replaces a hotfix. An approved version
+  // waiting for release is never replaced - cancelling it would throw the approval away.
+  if (reviewStatus.state === 'PENDING_DEVELOPER_RELEASE') {
+    log(`Approved build #${reviewStatus.buildNumber} (v${reviewStatus.version}) is waiting for release - build #${latestBuild.buildNumber} is submitted once it is out (node index.js release)`);
+    return;
+  }
+
+  if (reviewStatus.inReview) {
+    const reviewIsHotfix = await isHotfixInReview(asc, reviewStatus);
 
-    // Step 7: Handle existing review
-    if (reviewStatus.inReview) {
+    if (isHotfix && !reviewIsHotfix) {
+      log(`Hotfix build #${latestBuild.buildNumber} from PR #${prNumber} replaces build #${reviewStatus.buildNumber} in review`);
+    } else if (reviewIsHotfix && !isHotfix) {
+      log(`Hotfix build #${reviewStatus.buildNumber} (v${reviewStatus.version}) is ${reviewStatus.state} - build #${latestBuild.buildNumber} waits until it is live`);
+      return;
+    } else {
       const reviewBuildNum = parseInt(reviewStatus.buildNumber, 10);
       const latestBuildNum = parseInt(latestBuild.buildNumber, 10);
 
@@ -76,106 +116,228 @@ export async function runDeployCheck(asc, github, DRY_RUN) {
         if (latestBuildNum === reviewBuildNum) {
           log(`Build #${reviewStatus.buildNumber} is already in review - no newer build available`);
         } else {
-          log(`Warning: Build #${reviewStatus.buildNumber} in review is newer than latest main branch build #${latestBuild.buildNumber}`);
+          log.warn(`Build #${reviewStatus.buildNumber} in review is newer than latest main branch build #${latestBuild.buildNumber}`);
         }
         return;
       }
 
-      // Newer build available - cancel current review
       log(`Newer build #${latestBuild.buildNumber} from PR #${prNumber} available (current in review: #${reviewStatus.buildNumber})`);
+    }
+  }
 
-      if (DRY_RUN) {
-        log(`[DRY RUN] Would cancel review for build #${reviewStatus.buildNumber} (v${reviewStatus.version})`);
-        log(`[DRY RUN] Would look up cancelled build's PR to notify`);
-      } else {
-        log('Cancelling current review to submit newer build...');
-        const cancelResult = await asc.cancelReview(reviewStatus.versionId);
-
-        if (cancelResult.success) {
-          log(`Successfully cancelled review for build #${reviewStatus.buildNumber}`);
-
-          // Try to find and comment on the cancelled build's PR
-          try {
-            const cancelledCommitInfo = await asc.getBuildCommitSHA(reviewStatus.buildNumber);
-            if (cancelledCommitInfo.found && cancelledCommitInfo.commitSha) {
-              const cancelledPrNumber = github.findPRFromCommit(cancelledCommitInfo.commitSha);
-              if (cancelledPrNumber && cancelledPrNumber !== prNumber) {
-                const cancelComment = `Build #${reviewStatus.buildNumber} has been withdrawn from App Store review.\n\nA newer build #${latestBuild.buildNumber} from PR #${prNumber} has been submitted instead.`;
-                if (github.addPRComment(cancelledPrNumber, cancelComment)) {
-                  log(`Added cancellation notice to PR #${cancelledPrNumber}`);
-                }
-              }
-            }
-          } catch (e) {
-            log(`Warning: Could not notify cancelled build's PR: ${e.message}`);
+  // Step 8: Check the submission policies before touching the current review
+  if (!await passesSubmissionPolicy(github, notifier, latestBuild, prNumber, DRY_RUN)) {
+    return;
+  }
+
+  // Step 9: Cancel the current review for the newer build
+  if (reviewStatus.inReview) {
+    if (DRY_RUN) {
+      log(`[DRY RUN] Would cancel review for build #${reviewStatus.buildNumber} (v${reviewStatus.version})`);
+      log(`[DRY RUN] Would look up cancelled build's PR to notify`);
+    } else {
+      log('Cancelling current review to submit newer build...');
+      const cancelResult = await asc.cancelReview(reviewStatus.versionId);
+
+      if (cancelResult.success) {
+        log(`Successfully cancelled review for build #${reviewStatus.buildNumber}`, { buildNumber: reviewStatus.buildNumber, version: reviewStatus.version });
+        recordEvent('review-cancelled', {
+          buildNumber: reviewStatus.buildNumber,
+          version: reviewStatus.version,
+          versionId: reviewStatus.versionId,
+          replacedBy: latestBuild.buildNumber,
+        });
+
+        // Try to find the cancelled build's PR and notify
+        try {
+          let cancelledPrNumber = null;
+          const cancelledCommitInfo = await asc.getBuildCommitSHA(reviewStatus.buildNumber);
+          if (cancelledCommitInfo.found && cancelledCommitInfo.commitSha) {
+            cancelledPrNumber = await github.findPRFromCommit(cancelledCommitInfo.commitSha);
           }
-        } else {
-          log(`Failed to cancel review: ${cancelResult.error}`);
-          return;
+
+          const { prCommented } = await notifier.notify('review-cancelled', {
+            buildNumber: reviewStatus.buildNumber,
+            version: reviewStatus.version,
+            prNumber: cancelledPrNumber !== prNumber ? cancelledPrNumber : null,
+            newBuildNumber: latestBuild.buildNumber,
+            newPrNumber: prNumber,
+            newPrSource: prNumber ? ` from PR #${prNumber}` : '',
+          });
+          if (prCommented) {
+            log(`Added cancellation notice to PR #${cancelledPrNumber}`);
+          }
+        } catch (e) {
+          log.warn(`Could not notify cancelled build's PR: ${e.message}`);
         }
+      } else {
+        log.error(`Failed to cancel review: ${cancelResult.error}`);
+        return;
       }
     }
-  } else {
-    // No PR found
-    if (reviewStatus.inReview) {
-      log(`Build #${latestBuild.buildNumber} is not from a merged PR, skipping (build #${reviewStatus.buildNumber} already in review)`);
-      return;
-    }
-    log('No PR found for commit, using default release notes');
   }
 
-  // Step 8: Submit build for review
+  // Collect release notes from every PR merged since the last release
+  const releaseNotes = await buildReleaseNotes(github, tags, commitInfo.commitSha, prNumber);
+  log(`Release notes (${releaseNotes.defaultLocale}): ${releaseNotes.text}`);
+  const prLocales = Object.keys(releaseNotes.localized);
+  if (prLocales.length > 0) {
+    log(`Localized release notes found in PRs: ${prLocales.join(', ')}`);
+  }
+
+  // Step 10: Submit build for review
   if (DRY_RUN) {
     log(`[DRY RUN] Would submit build #${latestBuild.buildNumber} for review`);
-    log(`[DRY RUN] Release notes: ${releaseNotes}`);
+    log(`[DRY RUN] Release notes: ${releaseNotes.text}`);
+    if (CONFIG.phasedRelease) {
+      log('[DRY RUN] Would enable phased release');
+    }
   } else {
     log(`Submitting build #${latestBuild.buildNumber} for review...`);
 
     // Get the build details
     const buildDetails = await asc.getBuildByNumber(latestBuild.buildNumber);
     if (!buildDetails) {
-      log(`ERROR: Build #${latestBuild.buildNumber} not found`);
+      log.error(`Build #${latestBuild.buildNumber} not found`);
       return;
     }
 
-    // Get or create the version
-    const versionInfo = await asc.getOrCreateAppStoreVersion(buildDetails.version);
-    log(`Version ${buildDetails.version}: ${versionInfo.exists ? 'exists' : 'created'} (state: ${versionInfo.state})`);
+    await submitBuild(asc, github, notifier, buildDetails, releaseNotes, prNumber);
+  }
 
-    // Check if we can submit
-    const submittableStates = ['PREPARE_FOR_SUBMISSION', 'DEVELOPER_REJECTED', 'REJECTED'];
-    if (!submittableStates.includes(versionInfo.state)) {
-      if (versionInfo.state === 'WAITING_FOR_REVIEW' || versionInfo.state === 'IN_REVIEW') {
-        log(`Version ${buildDetails.version} is already in ${versionInfo.state} state`);
-        return;
-      }
-      log(`ERROR: Cannot submit version in state: ${versionInfo.state}`);
-      return;
-    }
+  log('Deploy check complete');
+}
 
-    // Select the build
-    log(`Selecting build ${latestBuild.buildNumber}...`);
-    await asc.selectBuildForVersion(versionInfo.versionId, buildDetails.buildId);
+/**
+ * Whether the build in review comes from a hotfix workflow or branch
+ */
+async function isHotfixInReview(asc, reviewStatus) {
+  if (!hotfixesConfigured()) {
+    return false;
+  }
+  const commitInfo = await asc.getBuildCommitSHA(reviewStatus.buildNumber);
+  return commitInfo.found && isHotfixBuild(commitInfo);
+}
 
-    // Update release notes
-    log('Updating release notes...');
-    await asc.updateReleaseNotes(versionInfo.versionId, releaseNotes);
+/**
+ * Check the submission policies for a build, logging why it is held back.
+ * The PR is told once per build and set of blocking policies, not on every run.
+ * @returns {Promise<boolean>} - Whether the build may be submitted
+ */
+async function passesSubmissionPolicy(github, notifier, build, prNumber, DRY_RUN) {
+  const violations = await getPolicyViolations(github, build, prNumber);
+  if (violations.length === 0) {
+    return true;
+  }
 
-    // Submit for review
-    log('Submitting for review...');
-    await asc.submitForReview(versionInfo.versionId);
+  const rules = violations.map(({ rule }) => rule);
+  log(`Build #${build.buildNumber} is held back by the submission policy:`, { buildNumber: build.buildNumber, version: build.version, rules });
+  violations.forEach(({ reason }) => log(`  - ${reason}`));
 
-    log(`Successfully submitted build #${latestBuild.buildNumber} for App Store review!`);
-    log(`Release notes: ${releaseNotes}`);
+  if (hasEvent({ type: 'submission-blocked', buildNumber: build.buildNumber, rules })) {
+    return false;
+  }
 
-    // Add comment to PR
-    if (prNumber) {
-      const comment = `Build #${latestBuild.buildNumber} has been submitted to App Store for review.\n\n**Release Notes:**\n${releaseNotes}`;
-      if (github.addPRComment(prNumber, comment)) {
-        log(`Added comment to PR #${prNumber}`);
-      }
+  if (DRY_RUN) {
+    log('[DRY RUN] Would notify that the build is held back');
+    return false;
+  }
+
+  recordEvent('submission-blocked', {
+    buildNumber: build.buildNumber,
+    version: build.version,
+    prNumber,
+    rules,
+    reasons: violations.map(({ reason }) => reason),
+  });
+
+  const { prCommented } = await notifier.notify('submission-blocked', {
+    buildNumber: build.buildNumber,
+    version: build.version,
+    prNumber,
+    reasons: violations.map(({ reason }) => `- ${reason}`).join('\n'),
+  });
+  if (prCommented) {
+    log(`Explained the hold on PR #${prNumber}`);
+  }
+  return false;
+}
+
+/**
+ * Attach a build to its App Store version and submit it for review: selects the build,
+ * writes the release notes, enables phased release if configured, then records the
+ * submission and comments on the PR
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubAPI} github
+ * @param {Notifier} notifier
+ * @param {object} buildDetails - From getBuildByNumber()
+ * @param {object} releaseNotes - From buildReleaseNotes()
+ * @param {number|null} prNumber - PR to comment on
+ * @returns {Promise<boolean>} - false if the version is not in a state that can be submitted
+ */
+export async function submitBuild(asc, github, notifier, buildDetails, releaseNotes, prNumber) {
+  // Get or create the version
+  const versionInfo = await asc.getOrCreateAppStoreVersion(buildDetails.version);
+  log(`Version ${buildDetails.version}: ${versionInfo.exists ? 'exists' : 'created'} (state: ${versionInfo.state}, release type: ${versionInfo.releaseType || 'default'})`);
+
+  // Check if we can submit
+  const submittableStates = ['PREPARE_FOR_SUBMISSION', 'DEVELOPER_REJECTED', 'REJECTED'];
+  if (!submittableStates.includes(versionInfo.state)) {
+    if (versionInfo.state === 'WAITING_FOR_REVIEW' || versionInfo.state === 'IN_REVIEW') {
+      log(`Version ${buildDetails.version} is already in ${versionInfo.state} state`);
+      return false;
     }
+    log.error(`Cannot submit version in state: ${versionInfo.state}`);
+    return false;
   }
 
-  log('Deploy check complete');
+  // Select the build
+  log(`Selecting build ${buildDetails.buildNumber}...`);
+  await asc.selectBuildForVersion(versionInfo.versionId, buildDetails.buildId);
+
+  // Update release notes
+  log('Updating release notes...');
+  await updateLocalizedReleaseNotes(asc, github, versionInfo.versionId, releaseNotes);
+
+  // Roll out gradually once approved
+  if (CONFIG.phasedRelease) {
+    const phasedRelease = await asc.getPhasedRelease(versionInfo.versionId);
+    if (phasedRelease) {
+      log(`Phased release already configured (${phasedRelease.state})`);
+    } else {
+      log('Enabling phased release...');
+      await asc.createPhasedRelease(versionInfo.versionId);
+    }
+  }
+
+  // Submit for review
+  log('Submitting for review...');
+  await asc.submitForReview(versionInfo.versionId);
+
+  log(`Successfully submitted build #${buildDetails.buildNumber} for App Store review!`, { buildNumber: buildDetails.buildNumber, version: buildDetails.version });
+
+  // The merge and upload times feed the lead time metrics
+  const prDetails = prNumber ? await github.getPRDetails(prNumber).catch(() => null) : null;
+  recordEvent('submitted', {
+    buildNumber: buildDetails.buildNumber,
+    version: buildDetails.version,
+    versionId: versionInfo.versionId,
+    prNumber,
+    mergedAt: prDetails?.mergedAt || undefined,
+    uploadedAt: buildDetails.uploadedDate || undefined,
+  });
+  log(`Release notes: ${releaseNotes.text}`);
+
+  // Comment on the PR and notify
+  const { prCommented } = await notifier.notify('submitted', {
+    buildNumber: buildDetails.buildNumber,
+    version: buildDetails.version,
+    prNumber,
+    releaseNotes: releaseNotes.text,
+  });
+  if (prCommented) {
+    log(`Added comment to PR #${prNumber}`);
+  }
+
+  return true;
 }
@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { CONFIG, log } from './config.js';
+import { resolveTriggerBranch, resolveTriggerWorkflow, validateTriggerSettings } from './trigger.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run a git command in a repository without ever waiting for a credential prompt
+ */
+async function git(args, repoPath) {
+  const { stdout } = await execFileAsync('git', args, {
+    encoding: 'utf8',
+    cwd: repoPath,
+    timeout: 60000,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+  });
+  return stdout.trim();
+}
+
+function gitErrorMessage(e) {
+  return (e.stderr || e.message).trim().split('\n').pop();
+}
+
+/**
+ * Check that the API private key decodes and can sign an App Store Connect JWT
+ */
+function checkPrivateKey(asc) {
+  let key;
+  try {
+    key = crypto.createPrivateKey(asc.privateKey);
+  } catch (e) {
+    throw new Error(`APP_STORE_CONNECT_API_KEY_CONTENT is not a base64-encoded .p8 private key (${e.message})`);
+  }
+  if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+    throw new Error(`Expected an EC P-256 key, got ${key.asymmetricKeyType} ${key.asymmetricKeyDetails?.namedCurve || ''}`.trim());
+  }
+
+  asc.generateToken();
+  return `EC P-256 key ${asc.keyId} signs JWTs`;
+}
+
+/**
+ * Check that App Store Connect accepts the token
+ */
+async function checkAppStoreConnect(asc) {
+  try {
+    await asc.request('/apps?limit=1&fields[apps]=bundleId');
+  } catch (e) {
+    if (e.status === 401) {
+      throw new Error(`${e.message} - check the key ID, issuer ID and that the key has not been revoked`);
+    }
+    throw e;
+  }
+  return `Key ${asc.keyId} accepted for issuer ${asc.issuerId}`;
+}
+
+/**
+ * Check that the app resolves to exactly one App Store Connect app
+ */
+async function checkApp(asc) {
+  if (CONFIG.appId) {
+    const data = await asc.request(`/apps/${CONFIG.appId}`).catch((e) => {
+      throw new Error(e.status === 404 ? `APP_ID ${CONFIG.appId} not found` : e.message);
+    });
+    const { bundleId, name } = data.data.attributes;
+    if (bundleId !== CONFIG.appIdentifier) {
+      throw new Error(`APP_ID ${CONFIG.appId} is ${name} (${bundleId}), not ${CONFIG.appIdentifier}`);
+    }
+    return `${name} (${CONFIG.appId})`;
+  }
+
+  const data = await asc.request(`/apps?filter[bundleId]=${CONFIG.appIdentifier}`);
+  const apps = data.data || [];
+  if (apps.length === 0) {
+    throw new Error(`No app with bundle ID ${CONFIG.appIdentifier}`);
+  }
+
+  if (apps.length > 1) {
+    const named = apps.filter(app => app.attributes?.name === CONFIG.appName);
+    if (named.length !== 1) {
+      throw new Error(`${apps.length} apps match ${CONFIG.appIdentifier} and ${named.length} are named "${CONFIG.appName}" - set APP_ID`);
+    }
+    return `${CONFIG.appName} (${named[0].id}), picked by name from ${apps.length} apps with this bundle ID`;
+  }
+
+  if (apps[0].attributes?.name !== CONFIG.appName) {
+    log.warn(`App Store Connect names the app "${apps[0].attributes?.name}", APP_NAME is "${CONFIG.appName}"`);
+  }
+  return `${apps[0].attributes?.name} (${apps[0].id})`;
+}
+
+/**
+ * Check that the XCODE_WORKFLOW_ID, beta and hotfix workflows exist in the app's Xcode Cloud product
+ */
+async function checkWorkflows(asc) {
+  const wanted = [...CONFIG.workflows, ...Object.keys(CONFIG.betaGroups), ...CONFIG.hotfixWorkflows];
+  if (wanted.length === 0) {
+    return null;
+  }
+
+  const product = await asc.getAppCIProduct();
+  if (!product) {
+    throw new Error('The app has no Xcode Cloud product');
+  }
+
+  const workflows = await asc.getWorkflows(product.id);
+  const missing = wanted.filter(idOrName => !workflows.some(workflow => workflow.id === idOrName || workflow.attributes?.name === idOrName));
+  if (missing.length > 0) {
+    const available = workflows.map(workflow => `${workflow.attributes?.name} (${workflow.id})`).join(', ') || 'none';
+    throw new Error(`Not found: ${missing.join(', ')}. Workflows: ${available}`);
+  }
+
+  return `Found ${wanted.join(', ')}`;
+}
+
+/**
+ * Check that TRIGGER_WORKFLOW fits the other settings, exists and its repository has
+ * TRIGGER_BRANCH to start builds on
+ */
+async function checkTriggerWorkflow(asc) {
+  if (!CONFIG.triggerWorkflow) {
+    return null;
+  }
+
+  const settingsError = validateTriggerSettings();
+  if (settingsError) {
+    throw new Error(settingsError);
+  }
+
+  const workflow = await resolveTriggerWorkflow(asc);
+  await resolveTriggerBranch(asc, workflow);
+  return `${workflow.attributes?.name} (${workflow.id}) can build ${CONFIG.triggerBranch}`;
+}
+
+/**
+ * Check that the GitHub token can reach the repository and push to it (tags and comments)
+ */
+async function checkGitHubRepo(github) {
+  let repo;
+  try {
+    repo = await github.request(`repos/${github.repo}`);
+  } catch (e) {
+    if (e.status === 401) throw new Error(`${e.message} - GH_TOKEN is invalid or expired`);
+    if (e.status === 404) throw new Error(`${github.repo} not found, or GH_TOKEN can't see it`);
+    throw e;
+  }
+
+  if (repo.permissions && !repo.permissions.push) {
+    throw new Error(`GH_TOKEN can read ${repo.full_name} but not push to it (tags need write access)`);
+  }
+  return `${repo.full_name} (default branch ${repo.default_branch})`;
+}
+
+/**
+ * Check that IOS_REPO_PATH is a git clone that can push to the branch that triggers builds
+ */
+async function checkLocalRepo() {
+  const repoPath = CONFIG.iosRepoPath;
+  if (!repoPath) {
+    return null;
+  }
+  if (!fs.existsSync(repoPath)) {
+    throw new Error(`${repoPath} does not exist`);
+  }
+
+  try {
+    await git(['rev-parse', '--is-inside-work-tree'], repoPath);
+  } catch (e) {
+    throw new Error(`${repoPath} is not a git clone`);
+  }
+
+  const branch = CONFIG.triggerBranch;
+  let remoteBranch;
+  try {
+    remoteBranch = await git(['ls-remote', '--heads', 'origin', branch], repoPath);
+  } catch (e) {
+    throw new Error(`Can't reach origin: ${gitErrorMessage(e)}`);
+  }
+  const remoteSha = remoteBranch.split(/\s+/)[0];
+  if (!remoteSha) {
+    throw new Error(`origin has no ${branch} branch (TRIGGER_BRANCH)`);
+  }
+
+  // Pushing the branch's own commit back changes nothing, but the remote still checks write access
+  try {
+    await git(['push', '--dry-run', '--porcelain', 'origin', `${remoteSha}:refs/heads/${branch}`], repoPath);
+  } catch (e) {
+    throw new Error(`No push access to origin: ${gitErrorMessage(e)}`);
+  }
+
+  return `${path.resolve(repoPath)} can push to origin/${branch}`;
+}
+
+/**
+ * Check the active app's configuration and credentials end to end, reporting each check
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubAPI} github
+ * @param {string[]} [missingCredentials] - Required environment variables that are not set
+ * @returns {Promise<boolean>} - Whether every check passed
+ */
+export async function runDoctor(asc, github, missingCredentials = []) {
+  log('--- Doctor ---');
+
+  // Checks after a failed App Store Connect check, or without their credentials, can't work, so they are skipped
+  const checks = [
+    { name: 'Private key', run: () => checkPrivateKey(asc), needsASC: true },
+    { name: 'App Store Connect API', run: () => checkAppStoreConnect(asc), needsASC: true },
+    { name: 'App', run: () => checkApp(asc), needsASC: true },
+    { name: 'Xcode Cloud workflows', run: () => checkWorkflows(asc), needsASC: true },
+    { name: 'TRIGGER_WORKFLOW', run: () => checkTriggerWorkflow(asc), needsASC: true },
+    { name: 'GitHub repository', run: () => checkGitHubRepo(github), needsGitHub: true },
+    { name: 'IOS_REPO_PATH', run: () => checkLocalRepo() },
+  ];
+
+  let failed = 0;
+  for (const varName of missingCredentials) {
+    log(`[FAIL] ${varName}: not set`);
+    failed++;
+  }
+  let ascFailed = missingCredentials.some(varName => varName.startsWith('APP_STORE_CONNECT_'));
+  const githubFailed = missingCredentials.includes('GH_TOKEN');
+
+  for (const check of checks) {
+    if ((check.needsASC && ascFailed) || (check.needsGitHub && githubFailed)) {
+      log(`[SKIP] ${check.name}: needs the checks above`);
+      continue;
+    }
+
+    try {
+      const detail = await check.run();
+      log(detail ? `[PASS] ${check.name}: ${detail}` : `[SKIP] ${check.name}: not configured`);
+    } catch (e) {
+      log(`[FAIL] ${check.name}: ${e.message}`);
+      failed++;
+      ascFailed = ascFailed || check.needsASC;
+    }
+  }
+
+  if (failed > 0) {
+    log.error(`${failed} check(s) failed`);
+    return false;
+  }
+  log('All checks passed');
+  return true;
+}
@@ -1,67 +1,112 @@
-import { execFileSync } from 'child_process';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { GitHubClient } from './github.js';
+import { parseReleaseTagName } from './versioning.js';
 
-export class GitHubTags {
-  constructor(repoOwner, repoName) {
-    this.repoOwner = repoOwner;
-    this.repoName = repoName;
-    this.repo = `${repoOwner}/${repoName}`;
+const execFileAsync = promisify(execFile);
+
+/**
+ * Encode a ref name for a URL path, keeping its slashes (e.g. release/1.4 or a TAG_TEMPLATE with /)
+ */
+function encodeRefPath(ref) {
+  return ref.split('/').map(encodeURIComponent).join('/');
+}
+
+export class GitHubTags extends GitHubClient {
+  async tagExists(tagName) {
+    const ref = await this.requestOrNull(`repos/${this.repo}/git/ref/tags/${encodeRefPath(tagName)}`);
+    return ref !== null;
   }
 
-  exec(args) {
-    return execFileSync('gh', args, {
-      encoding: 'utf8',
-      timeout: 60000,
-    }).trim();
+  async commitExists(commitSha) {
+    const commit = await this.requestOrNull(`repos/${this.repo}/commits/${commitSha}`, {}, [404, 422]);
+    return commit !== null;
   }
 
-  tagExists(tagName) {
-    try {
-      this.exec(['api', `repos/${this.repo}/git/refs/tags/${tagName}`, '--silent']);
-      return true;
-    } catch (e) {
-      return false;
+  async getCommitMessage(commitSha) {
+    const commit = await this.requestOrNull(`repos/${this.repo}/commits/${commitSha}`, {}, [404, 422]);
+    return (commit?.commit?.message || '').split('\n')[0];
+  }
+
+  /**
+   * Find the most recent release tag (TAG_TEMPLATE, e.g. v<version>-<build>) created by release sync
+   * @param {string|number} [beforeBuildNumber] - Only consider tags of older builds
+   * @returns {Promise<{name: string, commitSha: string, buildNumber: number}|null>}
+   */
+  async getLatestReleaseTag(beforeBuildNumber) {
+    const repoTags = await this.paginate(`repos/${this.repo}/tags`);
+
+    let latest = null;
+    for (const { name, commit } of repoTags) {
+      const parsed = parseReleaseTagName(name);
+      if (!parsed || !commit?.sha) continue;
+
+      const { buildNumber } = parsed;
+      if (beforeBuildNumber !== undefined && buildNumber >= Number(beforeBuildNumber)) continue;
+      if (!latest || buildNumber > latest.buildNumber) {
+        latest = { name, commitSha: commit.sha, buildNumber };
+      }
     }
+
+    return latest;
   }
 
-  commitExists(commitSha) {
-    try {
-      this.exec(['api', `repos/${this.repo}/commits/${commitSha}`, '--silent']);
-      return true;
-    } catch (e) {
+  async createTag(tagName, commitSha, message) {
+    // Create annotated tag object
+    const tag = await this.request(`repos/${this.repo}/git/tags`, {
+      method: 'POST',
+      body: { tag: tagName, message, object: commitSha, type: 'commit' },
+    });
+
+    // Create the ref pointing to the tag
+    await this.request(`repos/${this.repo}/git/refs`, {
+      method: 'POST',
+      body: { ref: `refs/tags/${tagName}`, sha: tag.sha },
+    });
+  }
+
+  /**
+   * Create a branch pointing at a commit, or leave it alone if it already exists
+   * @returns {Promise<boolean>} - false if the branch already existed
+   */
+  async createBranch(branch, commitSha) {
+    const existing = await this.requestOrNull(`repos/${this.repo}/git/ref/heads/${encodeRefPath(branch)}`);
+    if (existing) {
       return false;
     }
+
+    await this.request(`repos/${this.repo}/git/refs`, {
+      method: 'POST',
+      body: { ref: `refs/heads/${branch}`, sha: commitSha },
+    });
+    return true;
   }
 
-  getCommitMessage(commitSha) {
-    try {
-      const message = this.exec([
-        'api', `repos/${this.repo}/commits/${commitSha}`,
-        '--jq', '.commit.message'
-      ]);
-      return message.split('\n')[0];
-    } catch (e) {
-      return '';
-    }
+  /**
+   * @returns {Promise<{id: number, name: string, body: string, url: string}|null>} - null if the tag has no release
+   */
+  async getReleaseByTag(tagName) {
+    const release = await this.requestOrNull(`repos/${this.repo}/releases/tags/${encodeRefPath(tagName)}`);
+    return release ? { id: release.id, name: release.name || '', body: release.body || '', url: release.html_url } : null;
   }
 
-  createTag(tagName, commitSha, message) {
-    // Create annotated tag object
-    const tagResponse = this.exec([
-      'api', `repos/${this.repo}/git/tags`,
-      '-f', `tag=${tagName}`,
-      '-f', `message=${message}`,
-      '-f', `object=${commitSha}`,
-      '-f', 'type=commit',
-      '--jq', '.sha'
-    ]);
-    const tagSha = tagResponse.trim();
+  /**
+   * Publish a release on an existing tag
+   * @returns {Promise<string>} - URL of the release
+   */
+  async createRelease(tagName, name, body) {
+    const release = await this.request(`repos/${this.repo}/releases`, {
+      method: 'POST',
+      body: { tag_name: tagName, name, body },
+    });
+    return release.html_url;
+  }
 
-    // Create the ref pointing to the tag
-    this.exec([
-      'api', `repos/${this.repo}/git/refs`,
-      '-f', `ref=refs/tags/${tagName}`,
-      '-f', `sha=${tagSha}`
-    ]);
+  async updateRelease(releaseId, name, body) {
+    await this.request(`repos/${this.repo}/releases/${releaseId}`, {
+      method: 'PATCH',
+      body: { name, body },
+    });
   }
 
   /**
@@ -70,26 +115,29 @@ export class GitHubTags {
    * @param {string} message - Commit message
    * @param {string} repoPath - Local path to the repository
    */
-  pushEmptyCommit(branch, message, repoPath) {
-    const gitExec = (args) => execFileSync('git', args, {
-      encoding: 'utf8',
-      cwd: repoPath,
-      timeout: 60000,
-    }).trim();
+  async pushEmptyCommit(branch, message, repoPath) {
+    const gitExec = async (args) => {
+      const { stdout } = await execFileAsync('git', args, {
+        encoding: 'utf8',
+        cwd: repoPath,
+        timeout: 60000,
+      });
+      return stdout.trim();
+    };
 
     // Fetch latest
-    gitExec(['fetch', 'origin', branch]);
+    await gitExec(['fetch', 'origin', branch]);
 
     // Checkout the branch
-    gitExec(['checkout', branch]);
+    await gitExec(['checkout', branch]);
 
     // Pull latest changes
-    gitExec(['pull', 'origin', branch]);
+    await gitExec(['pull', 'origin', branch]);
 
     // Create empty commit
-    gitExec(['commit', '--allow-empty', '-m', message]);
+    await gitExec(['commit', '--allow-empty', '-m', message]);
 
     // Push
-    gitExec(['push', 'origin', branch]);
+    await gitExec(['push', 'origin', branch]);
   }
 }
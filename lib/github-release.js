@@ -0,0 +1,112 @@
+import { CONFIG, log } from './config.js';
+import { hasEvent, recordEvent } from './history.js';
+
+// Changelog heading for PRs without a grouping label
+const UNLABELED_GROUP = 'Other changes';
+
+/**
+ * Group PRs by label: CHANGELOG_LABELS sets which labels get a group and in what order,
+ * otherwise every label does, in order of first use. Each PR is listed once, under its first
+ * grouping label.
+ * @param {Array<{number: number, title: string, labels: string[]}>} prs
+ * @returns {Array<{label: string, prs: Array<object>}>}
+ */
+export function groupByLabel(prs) {
+  const configured = CONFIG.changelogLabels;
+  const order = configured.length > 0 ? configured : [...new Set(prs.flatMap(pr => pr.labels))];
+  const groups = new Map(order.map(label => [label.toLowerCase(), { label, prs: [] }]));
+  const unlabeled = { label: UNLABELED_GROUP, prs: [] };
+
+  for (const pr of prs) {
+    const labels = pr.labels.map(label => label.toLowerCase());
+    const group = [...groups.keys()].find(label => labels.includes(label));
+    (group ? groups.get(group) : unlabeled).prs.push(pr);
+  }
+
+  return [...groups.values(), unlabeled].filter(group => group.prs.length > 0);
+}
+
+/**
+ * Write the release body: the shipped "What's New" text, then the changelog
+ */
+export function formatReleaseBody(whatsNew, previousTag, prs) {
+  const lines = ['## What\'s New', '', whatsNew || '_No "What\'s New" text on the App Store_', ''];
+
+  if (!previousTag) {
+    lines.push('## Changes', '', '_First tagged release_');
+  } else if (!prs) {
+    lines.push(`## Changes since ${previousTag.name}`, '', `_Could not compare with ${previousTag.name}_`);
+  } else if (prs.length === 0) {
+    lines.push(`## Changes since ${previousTag.name}`, '', '_No merged PRs_');
+  } else {
+    lines.push(`## Changes since ${previousTag.name}`);
+    for (const group of groupByLabel(prs)) {
+      lines.push('', `### ${group.label}`, '');
+      group.prs.forEach(pr => lines.push(`- ${pr.title} (#${pr.number})`));
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Get the "What's New" text of the live version in the default locale
+ * @returns {Promise<string|null>}
+ */
+async function getShippedWhatsNew(asc, versionId) {
+  const localizations = await asc.getVersionLocalizations(versionId);
+  const locale = CONFIG.releaseNotesDefaultLocale.toLowerCase();
+  const localization = localizations.find(l => l.attributes?.locale?.toLowerCase() === locale) || localizations[0];
+  return localization?.attributes?.whatsNew?.trim() || null;
+}
+
+/**
+ * Create or update the GitHub Release of a live build's tag. The body lists the PRs merged since
+ * the previous release tag, grouped by label, under the "What's New" text that shipped.
+ * An existing release is updated rather than duplicated, so this is safe to run again.
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubAPI} github
+ * @param {GitHubTags} tags
+ * @param {object} liveStatus - From getLiveProductionBuild()
+ * @param {string} tagName - The build's release tag
+ * @param {string} commitSha - Commit the tag points to
+ * @param {boolean} DRY_RUN
+ */
+export async function syncGitHubRelease(asc, github, tags, liveStatus, tagName, commitSha, DRY_RUN) {
+  const previousTag = await tags.getLatestReleaseTag(liveStatus.buildNumber);
+  const prs = previousTag ? await github.getMergedPRsBetween(previousTag.commitSha, commitSha) : [];
+  if (previousTag && !prs) {
+    log.warn(`Could not compare ${previousTag.name} with ${commitSha.substring(0, 7)} - the release will have no changelog`);
+  }
+
+  const name = `Version ${liveStatus.version} (${liveStatus.buildNumber})`;
+  const body = formatReleaseBody(await getShippedWhatsNew(asc, liveStatus.versionId), previousTag, prs);
+  const existing = await tags.getReleaseByTag(tagName);
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would ${existing ? 'update' : 'create'} GitHub release "${name}" with ${prs?.length || 0} PR(s)`);
+    return;
+  }
+
+  let url;
+  if (!existing) {
+    url = await tags.createRelease(tagName, name, body);
+    log(`Created GitHub release ${url}`, { buildNumber: liveStatus.buildNumber, version: liveStatus.version });
+  } else if (existing.name !== name || existing.body.trim() !== body.trim()) {
+    await tags.updateRelease(existing.id, name, body);
+    url = existing.url;
+    log(`Updated GitHub release ${url}`, { buildNumber: liveStatus.buildNumber, version: liveStatus.version });
+  } else {
+    url = existing.url;
+    log(`GitHub release ${url} is up to date`);
+  }
+
+  if (!hasEvent({ type: 'github-release', tagName })) {
+    recordEvent('github-release', {
+      buildNumber: liveStatus.buildNumber,
+      version: liveStatus.version,
+      tagName,
+      url,
+    });
+  }
+}
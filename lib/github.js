@@ -1,82 +1,303 @@
-import { execFileSync } from 'child_process';
+import { CONFIG } from './config.js';
+import { fetchWithRetry } from './http.js';
 
-export class GitHubAPI {
-  constructor(repoOwner, repoName) {
+const GITHUB_API_VERSION = '2022-11-28';
+const PER_PAGE = 100;
+
+/**
+ * Error from the GitHub REST API; status is the HTTP status code
+ */
+export class GitHubAPIError extends Error {
+  constructor(status, message) {
+    super(`GitHub API Error ${status}: ${message}`);
+    this.name = 'GitHubAPIError';
+    this.status = status;
+  }
+}
+
+/**
+ * Minimal GitHub REST client for one repository, authenticated with GH_TOKEN.
+ * The API URL comes from GITHUB_API_URL for GitHub Enterprise Server.
+ */
+export class GitHubClient {
+  constructor(repoOwner, repoName, token = process.env.GH_TOKEN) {
     this.repoOwner = repoOwner;
     this.repoName = repoName;
     this.repo = `${repoOwner}/${repoName}`;
+    this.token = token;
+    this.apiUrl = CONFIG.githubApiUrl;
   }
 
-  findPRFromCommit(commitSha) {
-    try {
-      const result = execFileSync('gh', [
-        'pr', 'list',
-        '--repo', this.repo,
-        '--state', 'merged',
-        '--base', 'main',
-        '--json', 'number,mergeCommit',
-        '--jq', `.[] | select(.mergeCommit.oid == "${commitSha}") | .number`
-      ], { encoding: 'utf8', timeout: 30000 }).trim();
-
-      if (result) {
-        return result.split('\n')[0];
+  /**
+   * Send a request and return the raw response; throws GitHubAPIError on non-2xx responses
+   * @param {string} endpoint - Path below the API URL ('repos/...'), or a full URL
+   */
+  async send(endpoint, options = {}) {
+    const url = endpoint.startsWith('http') ? endpoint : `${this.apiUrl}/${endpoint.replace(/^\//, '')}`;
+    const { body, headers, ...rest } = options;
+
+    const response = await fetchWithRetry(url, () => ({
+      ...rest,
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        'X-GitHub-Api-Version': GITHUB_API_VERSION,
+        'User-Agent': 'merge4appstore',
+        ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    }));
+
+    if (!response.ok) {
+      const text = await response.text();
+      let message = text || response.statusText;
+      try {
+        const data = JSON.parse(text);
+        const details = (data.errors || []).map(e => e.message || e.code).filter(Boolean);
+        message = [data.message, ...details].filter(Boolean).join(' - ') || message;
+      } catch (e) {
+        // Not JSON, use the text as is
       }
+      throw new GitHubAPIError(response.status, message);
+    }
+
+    return response;
+  }
+
+  /**
+   * Send a request and return the parsed JSON body (null for 204 No Content)
+   */
+  async request(endpoint, options = {}) {
+    const response = await this.send(endpoint, options);
+    if (response.status === 204) {
+      return null;
+    }
+    return response.json();
+  }
+
+  /**
+   * Like request(), but returns null when the resource doesn't exist
+   * @param {number[]} missingStatuses - Statuses that mean "not found"
+   */
+  async requestOrNull(endpoint, options = {}, missingStatuses = [404]) {
+    try {
+      return await this.request(endpoint, options);
     } catch (e) {
-      // Fallback: try to extract from commit message
-      try {
-        const commitMsg = execFileSync('gh', [
-          'api', `repos/${this.repo}/commits/${commitSha}`,
-          '--jq', '.commit.message'
-        ], { encoding: 'utf8', timeout: 30000 }).trim();
-
-        const match = commitMsg.match(/\(#(\d+)\)/);
-        if (match) return match[1];
-
-        const mergeMatch = commitMsg.match(/pull request #(\d+)/);
-        if (mergeMatch) return mergeMatch[1];
-      } catch (e2) {
-        // Ignore
+      if (missingStatuses.includes(e.status)) {
+        return null;
       }
+      throw e;
+    }
+  }
+
+  /**
+   * Fetch every page of a list endpoint by following the Link header
+   * @param {string} endpoint
+   * @param {string} [itemsKey] - Key of the list in the response, for endpoints that wrap it (e.g. 'commits')
+   * @returns {Promise<Array>}
+   */
+  async paginate(endpoint, itemsKey) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    let next = `${endpoint}${separator}per_page=${PER_PAGE}`;
+    const items = [];
+
+    while (next) {
+      const response = await this.send(next);
+      const data = await response.json();
+      items.push(...(itemsKey ? data[itemsKey] || [] : data));
+      next = response.headers.get('Link')?.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null;
     }
 
+    return items;
+  }
+}
+
+/**
+ * Walk from head back through first parents while they are in the compared commits
+ * @param {Array<{sha: string, parents: Array<{sha: string}>}>} commits - From the compare API, oldest first
+ * @param {string} headSha
+ * @returns {string[]} - Commit SHAs, newest first
+ */
+function firstParentChain(commits, headSha) {
+  const bySha = new Map(commits.map(commit => [commit.sha, commit]));
+  const chain = [];
+  let commit = bySha.get(headSha) || commits[commits.length - 1];
+
+  while (commit && chain.length < commits.length) {
+    chain.push(commit.sha);
+    commit = bySha.get(commit.parents?.[0]?.sha);
+  }
+
+  return chain;
+}
+
+export class GitHubAPI extends GitHubClient {
+  /**
+   * Find the merged PR that produced a commit, whichever branch it was merged into
+   * (main, or e.g. a release branch for hotfixes)
+   * @returns {Promise<string|null>} - PR number
+   */
+  async findPRFromCommit(commitSha) {
+    const pulls = await this.requestOrNull(`repos/${this.repo}/commits/${commitSha}/pulls`, {}, [404, 422]) || [];
+    const merged = pulls.filter(pr => pr.merged_at);
+    // Any other merged PR only counts if it is the only one - the commit may just have been carried along
+    const pr = merged.find(pr => pr.merge_commit_sha === commitSha) || (merged.length === 1 ? merged[0] : null);
+    if (pr) {
+      return String(pr.number);
+    }
+
+    // Fallback: try to extract from commit message
+    const commit = await this.requestOrNull(`repos/${this.repo}/commits/${commitSha}`, {}, [404, 422]);
+    const commitMsg = commit?.commit?.message || '';
+
+    const match = commitMsg.match(/\(#(\d+)\)/);
+    if (match) return match[1];
+
+    const mergeMatch = commitMsg.match(/pull request #(\d+)/);
+    if (mergeMatch) return mergeMatch[1];
+
     return null;
   }
 
-  getPRDetails(prNumber) {
+  /**
+   * @returns {Promise<{title: string, body: string, labels: string[], mergedAt: string|null}|null>} - null if the PR doesn't exist
+   */
+  async getPRDetails(prNumber) {
+    const pr = await this.requestOrNull(`repos/${this.repo}/pulls/${prNumber}`);
+    return pr ? { title: pr.title, body: pr.body || '', labels: (pr.labels || []).map(label => label.name), mergedAt: pr.merged_at || null } : null;
+  }
+
+  /**
+   * Get the PRs merged into the branch in base...head, oldest merge first.
+   * Only the branch's own (first-parent) commits are looked up: a merge commit stands for its PR,
+   * so the PR's branch commits cost no requests.
+   * @param {string} baseSha - Commit of the previous release
+   * @param {string} headSha - Commit of the new build
+   * @param {number} maxCommits - Only look up this many of the most recent commits on the branch
+   * @returns {Promise<Array<{number: number, title: string, body: string, labels: string[], mergedAt: string}>|null>} - null if the range could not be compared
+   */
+  async getMergedPRsBetween(baseSha, headSha, maxCommits = 250) {
+    let commits;
     try {
-      const result = execFileSync('gh', [
-        'pr', 'view', String(prNumber),
-        '--repo', this.repo,
-        '--json', 'title,body'
-      ], { encoding: 'utf8', timeout: 30000 });
-      return JSON.parse(result);
+      commits = await this.paginate(`repos/${this.repo}/compare/${baseSha}...${headSha}`, 'commits');
     } catch (e) {
-      return null;
+      if (e.status === 404) return null;
+      throw e;
     }
+
+    const prs = new Map();
+    for (const sha of firstParentChain(commits, headSha).slice(0, maxCommits)) {
+      const pulls = await this.requestOrNull(`repos/${this.repo}/commits/${sha}/pulls`, {}, [404, 422]) || [];
+      for (const pr of pulls) {
+        if (pr.merged_at) {
+          prs.set(pr.number, {
+            number: pr.number,
+            title: pr.title,
+            body: pr.body || '',
+            labels: (pr.labels || []).map(label => label.name),
+            mergedAt: pr.merged_at,
+          });
+        }
+      }
+    }
+
+    return [...prs.values()].sort((a, b) => a.mergedAt.localeCompare(b.mergedAt));
   }
 
-  extractReleaseNotes(prBody, prTitle) {
-    if (prBody) {
-      const match = prBody.match(/^##?\s*Release Notes\s*\n([\s\S]*?)(?=\n#|$)/im);
-      if (match) {
-        const notes = match[1].trim();
-        if (notes) return notes;
+  /**
+   * Get the PR's Release Notes sections by locale
+   * "## Release Notes" is keyed as 'default', "## Release Notes (de-DE)" as 'de-de'
+   * @returns {Object<string, string>} - Empty if the PR has no (non-empty) Release Notes section
+   */
+  findReleaseNotesSections(prBody) {
+    const sections = {};
+    if (!prBody) return sections;
+
+    // Each section runs until the next heading or the end of the body
+    const pattern = /(?:^|\n)##?\s*Release Notes(?:\s*\(\s*([A-Za-z]{2,3}(?:[-_][A-Za-z0-9]+)*)\s*\))?[ \t]*\r?\n([\s\S]*?)(?=\n#|$)/gi;
+    for (const match of prBody.matchAll(pattern)) {
+      const locale = match[1] ? match[1].replace(/_/g, '-').toLowerCase() : 'default';
+      const notes = match[2].trim();
+      if (notes && !sections[locale]) {
+        sections[locale] = notes;
       }
     }
 
-    return prTitle || 'Bug fixes and improvements';
+    return sections;
+  }
+
+  /**
+   * Get the contents of the PR's Release Notes section for a locale
+   * @returns {string|null} - The locale's section, else the unlocalized one, else null
+   */
+  findReleaseNotesSection(prBody, locale) {
+    const sections = this.findReleaseNotesSections(prBody);
+    return (locale && sections[locale.toLowerCase()]) || sections.default || null;
   }
 
-  addPRComment(prNumber, comment) {
+  extractReleaseNotes(prBody, prTitle, locale) {
+    return this.findReleaseNotesSection(prBody, locale) || prTitle || 'Bug fixes and improvements';
+  }
+
+  /**
+   * Read a file from the repository
+   * @param {string} filePath - Path within the repository
+   * @param {string} ref - Commit SHA or branch
+   * @returns {Promise<string|null>} - File contents, or null if it doesn't exist
+   */
+  async getFileContent(filePath, ref) {
+    const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
     try {
-      execFileSync('gh', [
-        'pr', 'comment', String(prNumber),
-        '--repo', this.repo,
-        '--body', comment
-      ], { encoding: 'utf8', timeout: 30000 });
-      return true;
+      const response = await this.send(`repos/${this.repo}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`, {
+        headers: { 'Accept': 'application/vnd.github.raw' },
+      });
+      return await response.text();
     } catch (e) {
-      return false;
+      if (e.status === 404) return null;
+      throw e;
     }
   }
+
+  /**
+   * Open an issue in the repository
+   * @returns {Promise<string>} - URL of the new issue
+   */
+  async createIssue(title, body, labels = []) {
+    const issue = await this.request(`repos/${this.repo}/issues`, {
+      method: 'POST',
+      body: { title, body, labels },
+    });
+    return issue.html_url;
+  }
+
+  /**
+   * Find a PR from a branch of this repository into base, open or closed
+   * @returns {Promise<{number: number, state: string, url: string}|null>}
+   */
+  async findPullRequest(head, base) {
+    const params = new URLSearchParams({ head: `${this.repoOwner}:${head}`, base, state: 'all' });
+    const [pr] = await this.request(`repos/${this.repo}/pulls?${params}`);
+    return pr ? { number: pr.number, state: pr.merged_at ? 'merged' : pr.state, url: pr.html_url } : null;
+  }
+
+  /**
+   * Open a PR from head into base
+   * @returns {Promise<{number: number, url: string}>}
+   */
+  async createPullRequest(head, base, title, body) {
+    const pr = await this.request(`repos/${this.repo}/pulls`, {
+      method: 'POST',
+      body: { head, base, title, body },
+    });
+    return { number: pr.number, url: pr.html_url };
+  }
+
+  async addPRComment(prNumber, comment) {
+    await this.request(`repos/${this.repo}/issues/${prNumber}/comments`, {
+      method: 'POST',
+      body: { body: comment },
+    });
+    return true;
+  }
 }
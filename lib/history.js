@@ -0,0 +1,137 @@
+import { log } from './config.js';
+import { keepTrimmedEvents } from './metrics.js';
+import { readState, writeState } from './state.js';
+
+// Oldest events are dropped beyond this many per app
+const MAX_EVENTS = 5000;
+
+/**
+ * Record something the tool did for the active app
+ * @param {string} type - e.g. 'submitted', 'review-cancelled', 'tag-created', 'pr-comment'
+ * @param {object} fields - buildNumber, version and any other details
+ */
+export function recordEvent(type, fields = {}) {
+  const history = readState('history', { events: [] });
+
+  history.events.push({
+    at: new Date().toISOString(),
+    type,
+    ...fields,
+    buildNumber: fields.buildNumber !== undefined ? String(fields.buildNumber) : undefined,
+  });
+
+  const trimmed = history.events.length > MAX_EVENTS ? history.events.splice(0, history.events.length - MAX_EVENTS) : [];
+
+  try {
+    if (trimmed.length > 0) keepTrimmedEvents(trimmed);
+    writeState('history', history);
+  } catch (e) {
+    log.warn(`Failed to record ${type} event: ${e.message}`);
+  }
+}
+
+/**
+ * Record an event only the first time it happens to a build
+ * @param {string} type - e.g. 'approved', 'live'
+ * @param {{buildNumber: string, version: string, versionId?: string}} build
+ * @returns {boolean} - Whether the event was recorded
+ */
+export function recordFirstEvent(type, { buildNumber, version, versionId }) {
+  if (hasEvent({ type, buildNumber })) return false;
+  recordEvent(type, { buildNumber, version, versionId });
+  return true;
+}
+
+/**
+ * Find recorded events for the active app, oldest first
+ * @param {object} filter - Fields that must match, e.g. { type: 'submitted', buildNumber: '1400' }
+ */
+export function findEvents(filter = {}) {
+  const history = readState('history', { events: [] });
+
+  return history.events.filter(event => Object.entries(filter).every(
+    ([key, value]) => value === undefined || String(event[key]) === String(value)
+  ));
+}
+
+export function hasEvent(filter) {
+  return findEvents(filter).length > 0;
+}
+
+/**
+ * Comment on a PR and record the comment
+ * @param {GitHubAPI} github
+ * @param {string} prNumber
+ * @param {string} comment
+ * @param {object} fields - kind (e.g. 'submitted'), buildNumber and version
+ * @returns {Promise<boolean>} - Whether the comment was added
+ */
+export async function commentOnPR(github, prNumber, comment, fields = {}) {
+  try {
+    await github.addPRComment(prNumber, comment);
+  } catch (e) {
+    log.warn(`${e.message}`);
+    return false;
+  }
+
+  recordEvent('pr-comment', { ...fields, prNumber: String(prNumber) });
+  return true;
+}
+
+/**
+ * Print the recorded timeline of a build ("1400") or version ("1.4")
+ * @param {string} target - Build number or version string
+ */
+export function runHistoryCommand(target) {
+  log(`--- History: ${target} ---`);
+
+  const isBuildNumber = /^\d+$/.test(target);
+  const events = findEvents(isBuildNumber ? { buildNumber: target } : { version: target });
+
+  if (events.length === 0) {
+    log(`No recorded events for ${isBuildNumber ? `build #${target}` : `version ${target}`}`);
+    return;
+  }
+
+  for (const event of events) {
+    log(`${event.at.replace('T', ' ').substring(0, 19)}  ${describeEvent(event)}`);
+  }
+}
+
+function describeEvent(event) {
+  const build = event.buildNumber ? `build #${event.buildNumber}` : 'build unknown';
+  const version = event.version ? ` (v${event.version})` : '';
+
+  switch (event.type) {
+    case 'submitted':
+      return `Submitted ${build}${version} for review${event.prNumber ? ` from PR #${event.prNumber}` : ''}`;
+    case 'review-cancelled':
+      return `Cancelled review of ${build}${version}${event.replacedBy ? ` for newer build #${event.replacedBy}` : ''}`;
+    case 'beta-distributed':
+      return `Added ${build}${version} to beta groups ${(event.groups || []).join(', ')}`;
+    case 'beta-available':
+      return `Announced ${build}${version} to testers in ${event.groups}`;
+    case 'submission-blocked':
+      return `Held back ${build}${version}: ${(event.reasons || []).join('; ')}`;
+    case 'approved':
+      return `App Review approved ${build}${version}`;
+    case 'live':
+      return `Saw ${build}${version} live on the App Store`;
+    case 'rejected':
+      return `App Review rejected ${build}${version} (${event.state})`;
+    case 'release-requested':
+      return `Requested release of ${build}${version}`;
+    case 'tag-created':
+      return `Created tag ${event.tagName} for ${build}${version} on ${event.commitSha?.substring(0, 7)}`;
+    case 'github-release':
+      return `Published GitHub release ${event.url || event.tagName} for ${build}${version}`;
+    case 'back-merge':
+      return event.prNumber
+        ? `Opened back-merge PR #${event.prNumber} of hotfix ${build}${version}`
+        : `Hotfix ${build}${version} needed no back-merge`;
+    case 'pr-comment':
+      return `Commented on PR #${event.prNumber} (${event.kind || 'comment'}) about ${build}${version}`;
+    default:
+      return `${event.type} ${build}${version}`;
+  }
+}
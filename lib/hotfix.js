@@ -0,0 +1,113 @@
+import { CONFIG, log } from './config.js';
+import { hasEvent, recordEvent } from './history.js';
+
+/**
+ * Whether HOTFIX_WORKFLOWS or HOTFIX_BRANCHES is set
+ */
+export function hotfixesConfigured() {
+  return CONFIG.hotfixWorkflows.length > 0 || CONFIG.hotfixBranches.length > 0;
+}
+
+/**
+ * Match a branch against a pattern where * stands for any run of characters, e.g. "release/*"
+ */
+function branchMatches(branch, pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(branch);
+}
+
+/**
+ * Whether a build comes from a hotfix workflow or branch
+ * @param {{workflowId: string, workflowName: string, branch?: string|null}} commitInfo - From getBuildCommitSHA()
+ * @returns {boolean}
+ */
+export function isHotfixBuild({ workflowId, workflowName, branch }) {
+  const workflows = CONFIG.hotfixWorkflows;
+  if (workflows.includes(workflowId) || workflows.includes(workflowName)) {
+    return true;
+  }
+  return Boolean(branch) && CONFIG.hotfixBranches.some(pattern => branchMatches(branch, pattern));
+}
+
+/**
+ * Find the newest hotfix build ready for submission. Only builds numbered above the live build
+ * count, so a hotfix that was superseded is never picked up again.
+ * @param {AppStoreConnectAPI} asc
+ * @returns {Promise<{build: object, commitInfo: object}|null>} - build as from getLatestTestFlightReadyBuild()
+ */
+export async function findHotfixBuild(asc) {
+  if (!hotfixesConfigured()) {
+    return null;
+  }
+
+  const liveStatus = await asc.getLiveProductionBuild();
+  const liveBuildNumber = parseInt(liveStatus.buildNumber, 10) || 0;
+
+  for await (const build of asc.getTestFlightReadyBuilds()) {
+    if (parseInt(build.buildNumber, 10) <= liveBuildNumber) {
+      break;
+    }
+
+    const commitInfo = await asc.getBuildCommitSHA(build.buildNumber);
+    if (commitInfo.found && isHotfixBuild(commitInfo)) {
+      return { build: { found: true, ...build }, commitInfo };
+    }
+  }
+  return null;
+}
+
+/**
+ * Open a PR that merges a live hotfix back into MAIN_BRANCH, from a back-merge/<tag> branch at
+ * the hotfix commit. Does nothing if the PR already exists or main already has the commit.
+ * @param {GitHubAPI} github
+ * @param {GitHubTags} tags
+ * @param {object} liveStatus - From getLiveProductionBuild()
+ * @param {string} tagName - The hotfix's release tag
+ * @param {string} commitSha - Commit the tag points to
+ * @param {boolean} DRY_RUN
+ */
+export async function openBackMergePR(github, tags, liveStatus, tagName, commitSha, DRY_RUN) {
+  const base = CONFIG.mainBranch;
+  const head = `back-merge/${tagName}`;
+
+  if (hasEvent({ type: 'back-merge', buildNumber: liveStatus.buildNumber })) {
+    log(`Back-merge of build #${liveStatus.buildNumber} into ${base} already opened`);
+    return;
+  }
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would open a PR from ${head} (${commitSha.substring(0, 7)}) into ${base}`);
+    return;
+  }
+
+  const existing = await github.findPullRequest(head, base);
+  if (existing) {
+    log(`Back-merge PR #${existing.number} into ${base} is already ${existing.state}`);
+    recordEvent('back-merge', { buildNumber: liveStatus.buildNumber, version: liveStatus.version, prNumber: existing.number, url: existing.url });
+    return;
+  }
+
+  await tags.createBranch(head, commitSha);
+
+  let pr;
+  try {
+    pr = await github.createPullRequest(
+      head,
+      base,
+      `Back-merge hotfix v${liveStatus.version} into ${base}`,
+      `Hotfix build #${liveStatus.buildNumber} (v${liveStatus.version}, tag \`${tagName}\`) is live on the App Store. `
+        + `Merge its changes back into \`${base}\` so the next release includes them.`
+    );
+  } catch (e) {
+    // GitHub refuses PRs without changes: the hotfix is already in main
+    if (e.status === 422 && /no commits between/i.test(e.message)) {
+      log(`${base} already contains hotfix v${liveStatus.version} - no back-merge needed`);
+      recordEvent('back-merge', { buildNumber: liveStatus.buildNumber, version: liveStatus.version, prNumber: null });
+      return;
+    }
+    throw e;
+  }
+
+  log(`Opened back-merge PR #${pr.number} into ${base}: ${pr.url}`, { buildNumber: liveStatus.buildNumber, version: liveStatus.version, prNumber: pr.number });
+  recordEvent('back-merge', { buildNumber: liveStatus.buildNumber, version: liveStatus.version, prNumber: pr.number, url: pr.url });
+}
@@ -0,0 +1,72 @@
+import { log } from './config.js';
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  initialDelayMs: 1000,
+  maxDelayMs: 10000,
+  retryableStatusCodes: [429, 500, 502, 503, 504],
+};
+
+export async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function calculateBackoff(attempt, opts) {
+  const delay = opts.initialDelayMs * Math.pow(2, attempt);
+  const jitter = Math.random() * 0.3 * delay; // Add up to 30% jitter
+  return Math.min(delay + jitter, opts.maxDelayMs);
+}
+
+/**
+ * fetch with retries on rate limiting, server errors and network errors
+ * @param {string} url
+ * @param {Function} getOptions - Returns the fetch options for each attempt (so auth tokens can be refreshed)
+ * @param {object} retryOptions - Overrides for DEFAULT_RETRY_OPTIONS
+ * @returns {Promise<Response>} - The last response; callers check its status
+ */
+export async function fetchWithRetry(url, getOptions, retryOptions = {}) {
+  const opts = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+
+  let lastError;
+  for (let attempt = 0; attempt <= opts.maxRetries; attempt++) {
+    try {
+      const response = await fetch(url, getOptions());
+
+      // Handle rate limiting with Retry-After header (GitHub uses 403 for secondary rate limits)
+      const retryAfterHeader = response.headers.get('Retry-After');
+      if (response.status === 429 || (response.status === 403 && retryAfterHeader)) {
+        const retryAfter = parseInt(retryAfterHeader || '0', 10);
+        if (attempt < opts.maxRetries) {
+          const delay = retryAfter > 0 ? retryAfter * 1000 : calculateBackoff(attempt, opts);
+          log.warn(`Rate limited, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${opts.maxRetries})`);
+          await sleep(delay);
+          continue;
+        }
+      }
+
+      // Retry on server errors
+      if (opts.retryableStatusCodes.includes(response.status) && attempt < opts.maxRetries) {
+        const delay = calculateBackoff(attempt, opts);
+        log.warn(`Request failed with ${response.status}, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${opts.maxRetries})`);
+        await sleep(delay);
+        continue;
+      }
+
+      return response;
+    } catch (error) {
+      lastError = error;
+
+      // Retry on network errors
+      if (error.name === 'TypeError' && error.message.includes('fetch') && attempt < opts.maxRetries) {
+        const delay = calculateBackoff(attempt, opts);
+        log.warn(`Network error, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${opts.maxRetries})`);
+        await sleep(delay);
+        continue;
+      }
+
+      throw error;
+    }
+  }
+
+  throw lastError;
+}
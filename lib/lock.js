@@ -2,51 +2,115 @@ import fs from 'fs';
 import path from 'path';
 import { CONFIG, log } from './config.js';
 
-const LOCK_FILE = path.join(CONFIG.rootDir, '.merge4appstore.lock');
+// A held lock's mtime is refreshed this often, so a lock without a readable PID only goes stale
+// once its holder has stopped refreshing it for LOCK_MAX_AGE_MS
+const LOCK_REFRESH_MS = 60 * 1000;
 const LOCK_MAX_AGE_MS = 30 * 60 * 1000; // 30 minutes
 
-export function acquireLock() {
-  // First, check for and remove stale locks
+// Locks held by this process and their refresh timers, so they can all be released on exit
+const heldLocks = new Map();
+
+/**
+ * Get the lock file path
+ * @param {string} [name] - Lock name (app key); omitted for the single-app lock
+ */
+function getLockFile(name) {
+  const fileName = name ? `.merge4appstore-${name}.lock` : '.merge4appstore.lock';
+  return path.join(CONFIG.rootDir, fileName);
+}
+
+/**
+ * Whether a process is running; signal 0 only checks that the process exists
+ */
+function isProcessRunning(pid) {
   try {
-    const stats = fs.statSync(LOCK_FILE);
-    const age = Date.now() - stats.mtimeMs;
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: it exists but belongs to another user
+    return e.code === 'EPERM';
+  }
+}
 
-    if (age > LOCK_MAX_AGE_MS) {
-      log(`Removing stale lock (age: ${Math.round(age / 1000)}s)`);
-      fs.unlinkSync(LOCK_FILE);
-    }
+/**
+ * Remove the lock file if the process that holds it is gone
+ * @returns {boolean} - false if the lock file can't be read
+ */
+function removeStaleLock(lockFile) {
+  let pid;
+  let stats;
+  try {
+    stats = fs.statSync(lockFile);
+    pid = parseInt(fs.readFileSync(lockFile, 'utf8'), 10);
   } catch (e) {
     // File doesn't exist, which is fine
-    if (e.code !== 'ENOENT') {
-      return false;
-    }
+    return e.code === 'ENOENT';
+  }
+
+  if (pid > 0) {
+    if (isProcessRunning(pid)) return true;
+    log(`Removing stale lock of process ${pid}, which is no longer running`);
+  } else {
+    const age = Date.now() - stats.mtimeMs;
+    if (age <= LOCK_MAX_AGE_MS) return true;
+    log(`Removing stale lock without a process ID (age: ${Math.round(age / 1000)}s)`);
+  }
+
+  fs.rmSync(lockFile, { force: true });
+  return true;
+}
+
+export function acquireLock(name) {
+  const lockFile = getLockFile(name);
+
+  // First, check for and remove stale locks
+  if (!removeStaleLock(lockFile)) {
+    return false;
   }
 
   // Attempt atomic lock acquisition using 'wx' flag
   // This fails if the file already exists, preventing race conditions
   try {
-    fs.writeFileSync(LOCK_FILE, process.pid.toString(), { flag: 'wx' });
-    return true;
+    fs.writeFileSync(lockFile, process.pid.toString(), { flag: 'wx' });
   } catch (e) {
-    if (e.code === 'EEXIST') {
-      // Lock file exists, another process has the lock
-      return false;
-    }
-    // Unexpected error
+    // EEXIST: another process has the lock
     return false;
   }
+
+  // Keep the lock fresh for as long as the task runs
+  const refresh = setInterval(() => {
+    try {
+      const now = new Date();
+      fs.utimesSync(lockFile, now, now);
+    } catch (e) {
+      log.warn(`Failed to refresh lock file: ${e.message}`);
+    }
+  }, LOCK_REFRESH_MS);
+  refresh.unref();
+  heldLocks.set(name, refresh);
+  return true;
 }
 
-export function releaseLock() {
+export function releaseLock(name) {
+  const lockFile = getLockFile(name);
+  clearInterval(heldLocks.get(name));
+  heldLocks.delete(name);
+
   try {
     // Only delete if we own the lock (pid matches)
-    const content = fs.readFileSync(LOCK_FILE, 'utf8');
+    const content = fs.readFileSync(lockFile, 'utf8');
     if (content.trim() === process.pid.toString()) {
-      fs.unlinkSync(LOCK_FILE);
+      fs.unlinkSync(lockFile);
     }
   } catch (e) {
     if (e.code !== 'ENOENT') {
-      log(`Warning: Failed to remove lock file: ${e.message}`);
+      log.warn(`Failed to remove lock file: ${e.message}`);
     }
   }
 }
+
+export function releaseAllLocks() {
+  for (const name of [...heldLocks.keys()]) {
+    releaseLock(name);
+  }
+}
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG, log, runWithApp } from './config.js';
+import { readState, writeState } from './state.js';
+
+const PREFIX = 'merge4appstore';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Histogram buckets in seconds: 15 minutes to 2 weeks
+const DURATION_BUCKETS = [900, 1800, 3600, 3 * 3600, 6 * 3600, 12 * 3600, 86400, 2 * 86400, 3 * 86400, 7 * 86400, 14 * 86400];
+
+const COUNTERS = {
+  submissions_total: 'Builds submitted for App Review',
+  submissions_blocked_total: 'Builds held back by the submission policy (once per build and set of policies)',
+  review_cancellations_total: 'Reviews cancelled, by reason: replaced by a newer build or manual',
+  rejections_total: 'App Review rejections, by state',
+  approvals_total: 'Builds that passed App Review',
+  releases_total: 'Builds that went live',
+};
+
+const HISTOGRAMS = {
+  merge_to_testflight_seconds: 'Time from PR merge to the build\'s upload to TestFlight',
+  merge_to_submit_seconds: 'Time from PR merge to the first submission of the build',
+  review_duration_seconds: 'Time from submission to approval or rejection, by outcome',
+  merge_to_live_seconds: 'Lead time from PR merge until the build was seen live',
+};
+
+function observe(metrics, name, labels, seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return;
+
+  let histogram = metrics.histograms[name].find(series => sameLabels(series.labels, labels));
+  if (!histogram) {
+    histogram = { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    metrics.histograms[name].push(histogram);
+  }
+
+  DURATION_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+function increment(metrics, name, labels) {
+  const entry = metrics.counters[name].find(([existing]) => sameLabels(existing, labels));
+  if (entry) {
+    entry[1]++;
+  } else {
+    metrics.counters[name].push([labels, 1]);
+  }
+}
+
+function sameLabels(a, b) {
+  return Object.keys(a).length === Object.keys(b).length && Object.entries(b).every(([key, value]) => a[key] === value);
+}
+
+function secondsBetween(from, to) {
+  return from && to ? (new Date(to) - new Date(from)) / 1000 : NaN;
+}
+
+// Labels leave out the app, which is added when rendering
+function emptyMetrics() {
+  return {
+    counters: {
+      submissions_total: [[{}, 0]],
+      submissions_blocked_total: [[{}, 0]],
+      review_cancellations_total: [[{ reason: 'replaced' }, 0], [{ reason: 'manual' }, 0]],
+      rejections_total: [[{ state: 'REJECTED' }, 0], [{ state: 'METADATA_REJECTED' }, 0]],
+      approvals_total: [[{}, 0]],
+      releases_total: [[{}, 0]],
+    },
+    histograms: Object.fromEntries(Object.keys(HISTOGRAMS).map(name => [name, []])),
+    // Build number -> merge time of its first submission, and -> submission time while waiting for a review outcome
+    firstSubmissions: {},
+    inReview: {},
+  };
+}
+
+/**
+ * Add recorded events, oldest first, to counter values and histogram observations
+ * @param {object} metrics - From emptyMetrics(), updated in place
+ * @param {Array<object>} events
+ */
+function addEvents(metrics, events) {
+  const { firstSubmissions, inReview } = metrics;
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'submitted':
+        increment(metrics, 'submissions_total', {});
+        inReview[event.buildNumber] = event.at;
+        if (!Object.hasOwn(firstSubmissions, event.buildNumber)) {
+          firstSubmissions[event.buildNumber] = event.mergedAt || null;
+          observe(metrics, 'merge_to_testflight_seconds', {}, secondsBetween(event.mergedAt, event.uploadedAt));
+          observe(metrics, 'merge_to_submit_seconds', {}, secondsBetween(event.mergedAt, event.at));
+        }
+        break;
+      case 'submission-blocked':
+        increment(metrics, 'submissions_blocked_total', {});
+        break;
+      case 'review-cancelled':
+        increment(metrics, 'review_cancellations_total', { reason: event.replacedBy ? 'replaced' : 'manual' });
+        delete inReview[event.buildNumber];
+        break;
+      case 'rejected':
+      case 'approved':
+        if (event.type === 'rejected') {
+          increment(metrics, 'rejections_total', { state: event.state });
+        } else {
+          increment(metrics, 'approvals_total', {});
+        }
+        if (Object.hasOwn(inReview, event.buildNumber)) {
+          observe(metrics, 'review_duration_seconds', { outcome: event.type }, secondsBetween(inReview[event.buildNumber], event.at));
+          delete inReview[event.buildNumber];
+        }
+        break;
+      case 'live':
+        increment(metrics, 'releases_total', {});
+        observe(metrics, 'merge_to_live_seconds', {}, secondsBetween(firstSubmissions[event.buildNumber], event.at));
+        break;
+    }
+  }
+}
+
+/**
+ * Keep the metrics of history events that are about to be dropped, so counters never go down.
+ * Called by recordEvent when it trims the active app's history.
+ * @param {Array<object>} events - The dropped events, oldest first
+ */
+export function keepTrimmedEvents(events) {
+  const metrics = readState('metrics', emptyMetrics());
+  addEvents(metrics, events);
+  writeState('metrics', metrics);
+}
+
+/**
+ * Work out the active app's metrics: those kept from trimmed events plus the current history
+ */
+function collectAppMetrics() {
+  const metrics = readState('metrics', emptyMetrics());
+  // Read directly rather than through history.js, which calls in here when it trims
+  addEvents(metrics, readState('history', { events: [] }).events);
+  return metrics;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => (
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  ));
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Render pipeline metrics for the apps in the Prometheus text format.
+ * Metrics come from the recorded history, so they survive restarts and cover runs of every mode.
+ * Events trimmed from the history are kept in the metrics state, so counters only go up.
+ * @param {Array<object|null>} apps - App entries, or [null] in single-app mode
+ * @returns {string}
+ */
+export function renderMetrics(apps) {
+  const collected = apps.map(app => ({
+    app: app ? app.key : 'default',
+    ...(app ? runWithApp(app, collectAppMetrics) : collectAppMetrics()),
+  }));
+  const lines = [];
+
+  for (const [name, help] of Object.entries(COUNTERS)) {
+    lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} counter`);
+    for (const { app, counters } of collected) {
+      for (const [labels, value] of counters[name]) {
+        lines.push(`${PREFIX}_${name}${formatLabels({ app, ...labels })} ${value}`);
+      }
+    }
+  }
+
+  for (const [name, help] of Object.entries(HISTOGRAMS)) {
+    lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} histogram`);
+    for (const { app, histograms } of collected) {
+      for (const { labels: seriesLabels, buckets, sum, count } of histograms[name]) {
+        const labels = { app, ...seriesLabels };
+        DURATION_BUCKETS.forEach((bound, i) => {
+          lines.push(`${PREFIX}_${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${buckets[i]}`);
+        });
+        lines.push(`${PREFIX}_${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${PREFIX}_${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${PREFIX}_${name}_count${formatLabels(labels)} ${count}`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the metrics to METRICS_FILE, if set (e.g. for node_exporter's textfile collector)
+ * @param {Array<object|null>} apps - App entries, or [null] in single-app mode
+ */
+export function writeMetricsFile(apps) {
+  const file = CONFIG.metricsFile;
+  if (!file) return;
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write to a temp file first so a scrape never reads a half-written file
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, renderMetrics(apps));
+    fs.renameSync(tempFile, file);
+  } catch (e) {
+    log.warn(`Failed to write metrics to ${file}: ${e.message}`);
+  }
+}
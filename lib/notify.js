@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { CONFIG, log } from './config.js';
+import { commentOnPR } from './history.js';
+import { sendMail } from './smtp.js';
+
+const NOTIFY_TIMEOUT_MS = 10000;
+
+// Default title and message for each event; {{name}} is replaced with the event's data
+export const EVENT_TEMPLATES = {
+  'submitted': {
+    title: 'Build #{{buildNumber}} (v{{version}}) submitted for review',
+    message: 'Build #{{buildNumber}} has been submitted to App Store for review.\n\n**Release Notes:**\n{{releaseNotes}}',
+  },
+  'review-cancelled': {
+    title: 'Build #{{buildNumber}} (v{{version}}) withdrawn from review',
+    message: 'Build #{{buildNumber}} has been withdrawn from App Store review.\n\nA newer build #{{newBuildNumber}}{{newPrSource}} has been submitted instead.',
+  },
+  'review-withdrawn': {
+    title: 'Build #{{buildNumber}} (v{{version}}) withdrawn from review',
+    message: 'Build #{{buildNumber}} has been withdrawn from App Store review.',
+  },
+  'beta-available': {
+    title: 'Build #{{buildNumber}} (v{{version}}) available in TestFlight',
+    message: 'Build #{{buildNumber}} (v{{version}}) is available to TestFlight testers in {{groups}}.\n\n**What to Test:**\n{{whatToTest}}',
+  },
+  'submission-blocked': {
+    title: 'Build #{{buildNumber}} (v{{version}}) held back from review',
+    message: 'Build #{{buildNumber}} has not been submitted for App Store review yet:\n\n{{reasons}}\n\nIt will be submitted once the submission policy allows it.',
+  },
+  'rejected': {
+    title: 'App Review rejected v{{version}} (build #{{buildNumber}})',
+    message: "Build #{{buildNumber}} (v{{version}}) was rejected by App Review.\n\n{{details}}\n\nSee the reviewer's message in App Store Connect: {{appStoreConnectUrl}}",
+  },
+  'released': {
+    title: 'Build #{{buildNumber}} released as v{{version}}',
+    message: 'Build #{{buildNumber}} has been released to the App Store as version {{version}}.',
+  },
+  'tag-created': {
+    title: 'Tagged v{{version}} (build #{{buildNumber}}) as {{tagName}}',
+    message: 'Created tag {{tagName}} on commit {{commitSha}} for build #{{buildNumber}} (v{{version}}).',
+  },
+  'phased-release': {
+    title: 'Phased release of v{{version}}: {{phase}}',
+    message: 'Phased release of version {{version}} (build #{{buildNumber}}): {{phase}}.',
+  },
+};
+
+export const EVENTS = Object.keys(EVENT_TEMPLATES);
+
+// Events commented on the PR unless a "github" notifier entry says otherwise
+const DEFAULT_PR_EVENTS = ['submitted', 'review-cancelled', 'review-withdrawn', 'submission-blocked', 'beta-available', 'rejected', 'released', 'phased-release'];
+
+/**
+ * Replace {{name}} placeholders with values from data
+ */
+export function renderTemplate(template, data) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (data[name] ?? '').toString());
+}
+
+/**
+ * Replace ${VAR} references in notifier settings with environment variables, so secrets stay in .env
+ */
+function resolveEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnv(item)]));
+  }
+  return value;
+}
+
+async function postJSON(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+// Senders for each notifier type
+const SENDERS = {
+  async slack(settings, { title, message }) {
+    // Slack mrkdwn uses single asterisks for bold
+    const text = `*${title}*\n${message.replace(/\*\*(.+?)\*\*/g, '*$1*')}`;
+    await postJSON(settings.url, JSON.stringify({ text }));
+  },
+
+  async webhook(settings, { event, title, message, data }) {
+    const body = JSON.stringify({
+      event,
+      app: { key: CONFIG.appKey || null, name: CONFIG.appName, bundleId: CONFIG.appIdentifier },
+      title,
+      message,
+      data,
+      timestamp: new Date().toISOString(),
+    });
+
+    const headers = { 'X-Merge4AppStore-Event': event };
+    if (settings.secret) {
+      const signature = crypto.createHmac('sha256', settings.secret).update(body).digest('hex');
+      headers['X-Merge4AppStore-Signature'] = `sha256=${signature}`;
+    }
+
+    await postJSON(settings.url, body, headers);
+  },
+
+  async email(settings, { title, message }) {
+    await sendMail({
+      host: settings.host,
+      port: settings.port ? Number(settings.port) : undefined,
+      secure: settings.secure === true || settings.secure === 'true',
+      user: settings.user,
+      password: settings.password,
+      allowInsecureAuth: settings.allowInsecureAuth === true || settings.allowInsecureAuth === 'true',
+      from: settings.from,
+      to: [].concat(settings.to),
+      subject: `[${CONFIG.appName}] ${title}`,
+      text: message.replace(/\*\*(.+?)\*\*/g, '$1'),
+    });
+  },
+};
+
+/**
+ * Sends events to the PR and to the notifiers configured for the active app
+ */
+export class Notifier {
+  /**
+   * @param {GitHubAPI} github
+   * @param {Array<object>} notifiers - Notifier settings ({ type, events?, templates?, ... })
+   */
+  constructor(github, notifiers = CONFIG.notifiers) {
+    this.github = github;
+    this.prSettings = { events: DEFAULT_PR_EVENTS, templates: {} };
+    this.sinks = [];
+
+    notifiers.forEach((entry, index) => {
+      const settings = resolveEnv(entry);
+
+      if (settings.type === 'github') {
+        this.prSettings = { ...this.prSettings, ...settings };
+        return;
+      }
+      if (!SENDERS[settings.type]) {
+        throw new Error(`Notifier #${index + 1} has unknown type "${settings.type}" (expected one of: github, ${Object.keys(SENDERS).join(', ')})`);
+      }
+
+      const unknownEvents = (settings.events || []).filter(event => !EVENTS.includes(event));
+      if (unknownEvents.length > 0) {
+        throw new Error(`Notifier #${index + 1} has unknown events: ${unknownEvents.join(', ')}`);
+      }
+
+      this.sinks.push({ name: settings.name || settings.type, settings });
+    });
+  }
+
+  /**
+   * Get the title and message for an event, using the notifier's templates if it has them
+   */
+  render(settings, event, data) {
+    const override = settings.templates?.[event];
+    const template = typeof override === 'string'
+      ? { ...EVENT_TEMPLATES[event], message: override }
+      : { ...EVENT_TEMPLATES[event], ...override };
+
+    return {
+      title: renderTemplate(template.title, data),
+      message: renderTemplate(template.message, data),
+    };
+  }
+
+  /**
+   * Send an event
+   * @param {string} event - One of EVENTS
+   * @param {object} data - buildNumber, version, prNumber and event-specific values used by the templates
+   * @returns {Promise<{prCommented: boolean}>}
+   */
+  async notify(event, data) {
+    const context = { appName: CONFIG.appName, ...data };
+    let prCommented = false;
+
+    if (data.prNumber && this.prSettings.events.includes(event)) {
+      const { message } = this.render(this.prSettings, event, context);
+      const commentFields = { kind: event, buildNumber: data.buildNumber, version: data.version };
+      prCommented = await commentOnPR(this.github, data.prNumber, message, commentFields);
+      if (!prCommented) {
+        log.warn(`Failed to comment on PR #${data.prNumber}`);
+      }
+    }
+
+    for (const { name, settings } of this.sinks) {
+      if (settings.events && !settings.events.includes(event)) continue;
+
+      try {
+        await SENDERS[settings.type](settings, { event, data: context, ...this.render(settings, event, context) });
+        log(`Sent ${event} notification to ${name}`);
+      } catch (e) {
+        log.warn(`Failed to send ${event} notification to ${name}: ${e.message}`);
+      }
+    }
+
+    return { prCommented };
+  }
+}
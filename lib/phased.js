@@ -0,0 +1,138 @@
+import { log } from './config.js';
+import { readState, writeState } from './state.js';
+import { Notifier } from './notify.js';
+
+// Share of users that get the update on each day of a phased release
+const PHASED_RELEASE_PERCENTAGES = [1, 2, 5, 10, 20, 50, 100];
+
+// Phased release state to set for each command action
+const ACTION_STATES = {
+  pause: 'PAUSED',
+  resume: 'ACTIVE',
+  complete: 'COMPLETE',
+};
+
+export const PHASED_ACTIONS = ['status', ...Object.keys(ACTION_STATES)];
+
+/**
+ * Describe a phased release, e.g. "day 3 of 7 (5% of users), ACTIVE"
+ */
+export function describePhasedRelease(phasedRelease) {
+  if (phasedRelease.state === 'COMPLETE') {
+    return 'COMPLETE (100% of users)';
+  }
+  if (phasedRelease.state === 'INACTIVE' || !phasedRelease.currentDayNumber) {
+    return `${phasedRelease.state} (not started)`;
+  }
+
+  const day = phasedRelease.currentDayNumber;
+  const percentage = PHASED_RELEASE_PERCENTAGES[Math.min(day, PHASED_RELEASE_PERCENTAGES.length) - 1];
+  return `day ${day} of ${PHASED_RELEASE_PERCENTAGES.length} (${percentage}% of users), ${phasedRelease.state}`;
+}
+
+/**
+ * Show or change the phased release of the live (READY_FOR_SALE) version
+ * @param {AppStoreConnectAPI} asc
+ * @param {string} action - 'status', 'pause', 'resume' or 'complete'
+ * @param {boolean} DRY_RUN
+ */
+export async function runPhasedCommand(asc, action, DRY_RUN) {
+  log(`--- Phased Release: ${action} ---`);
+
+  const liveStatus = await asc.getLiveProductionBuild();
+  if (!liveStatus.live) {
+    log('No live production version found');
+    return;
+  }
+
+  const phasedRelease = await asc.getPhasedRelease(liveStatus.versionId);
+  if (!phasedRelease) {
+    log(`Version ${liveStatus.version} (build #${liveStatus.buildNumber}) has no phased release`);
+    return;
+  }
+
+  log(`Version ${liveStatus.version} (build #${liveStatus.buildNumber}): ${describePhasedRelease(phasedRelease)}`);
+  if (phasedRelease.startDate) {
+    log(`Started: ${phasedRelease.startDate}`);
+  }
+
+  if (action === 'status') {
+    return;
+  }
+
+  const targetState = ACTION_STATES[action];
+  if (phasedRelease.state === targetState) {
+    log(`Phased release is already ${targetState}`);
+    return;
+  }
+  if (phasedRelease.state === 'COMPLETE') {
+    log(`Phased release is already complete - nothing to ${action}`);
+    return;
+  }
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would set phased release to ${targetState}`);
+    return;
+  }
+
+  const newState = await asc.updatePhasedRelease(phasedRelease.id, targetState);
+  log(`Phased release is now ${newState}`, { buildNumber: liveStatus.buildNumber, version: liveStatus.version });
+}
+
+/**
+ * Notify (and comment on the live build's PR) when its phased release moves to a new day or state
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubAPI} github
+ * @param {object} liveStatus - Result of getLiveProductionBuild()
+ * @param {boolean} DRY_RUN
+ */
+export async function reportPhasedRelease(asc, github, liveStatus, DRY_RUN) {
+  const phasedRelease = await asc.getPhasedRelease(liveStatus.versionId);
+  if (!phasedRelease) {
+    return;
+  }
+
+  const description = describePhasedRelease(phasedRelease);
+  log(`Phased release: ${description}`);
+
+  const reported = readState('phased');
+  if (reported.versionId === liveStatus.versionId
+    && reported.state === phasedRelease.state
+    && reported.day === phasedRelease.currentDayNumber) {
+    return;
+  }
+
+  // Remember the PR across runs so the build's commit is only looked up once
+  let prNumber = reported.versionId === liveStatus.versionId ? reported.prNumber : undefined;
+  if (prNumber === undefined) {
+    prNumber = null;
+    const commitInfo = await asc.getBuildCommitSHA(liveStatus.buildNumber);
+    if (commitInfo.found && commitInfo.commitSha) {
+      prNumber = await github.findPRFromCommit(commitInfo.commitSha);
+    }
+  }
+
+  if (DRY_RUN) {
+    if (prNumber) {
+      log(`[DRY RUN] Would report phased release progress to PR #${prNumber}`);
+    }
+    return;
+  }
+
+  const { prCommented } = await new Notifier(github).notify('phased-release', {
+    buildNumber: liveStatus.buildNumber,
+    version: liveStatus.version,
+    prNumber,
+    phase: description,
+  });
+  if (prCommented) {
+    log(`Reported phased release progress to PR #${prNumber}`);
+  }
+
+  writeState('phased', {
+    versionId: liveStatus.versionId,
+    state: phasedRelease.state,
+    day: phasedRelease.currentDayNumber,
+    prNumber,
+  });
+}
@@ -0,0 +1,173 @@
+import { CONFIG, log } from './config.js';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Parse allowed weekdays: "mon-thu", "sat", ... (ranges may wrap, e.g. "sun-tue")
+ * @returns {Set<number>|null} - Day indexes (0 = Sunday), or null if every day is allowed
+ */
+function parseDays(items) {
+  if (items.length === 0) return null;
+
+  const days = new Set();
+  for (const item of items) {
+    const [from, to = from] = item.toLowerCase().split('-').map(day => WEEKDAYS.indexOf(day.trim().substring(0, 3)));
+    if (from < 0 || to < 0) {
+      throw new Error(`Invalid submission day "${item}" (SUBMIT_DAYS): expected e.g. mon-fri or sat`);
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+  return days;
+}
+
+/**
+ * Parse allowed hours: "9-17" or "09:30-17:00" (the end is exclusive; "22-6" spans midnight)
+ * @returns {{start: number, end: number}|null} - Minutes since midnight, or null if any hour is allowed
+ */
+function parseHours(text) {
+  if (!text) return null;
+
+  const match = text.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  const start = match && Number(match[1]) * 60 + Number(match[2] || 0);
+  const end = match && Number(match[3]) * 60 + Number(match[4] || 0);
+  if (!match || start > 24 * 60 || end > 24 * 60 || start === end) {
+    throw new Error(`Invalid submission hours "${text}" (SUBMIT_HOURS): expected e.g. 9-17 or 09:30-17:00`);
+  }
+  return { start, end };
+}
+
+/**
+ * Parse blackout dates: "2026-12-24" or "2026-12-20..2027-01-04" (inclusive)
+ */
+function parseBlackouts(items) {
+  return items.map((item) => {
+    const [from, to = from] = item.split('..').map(date => date.trim());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+      throw new Error(`Invalid blackout date "${item}" (SUBMIT_BLACKOUT_DATES): expected e.g. 2026-12-24 or 2026-12-20..2027-01-04`);
+    }
+    return { from, to, label: item };
+  });
+}
+
+/**
+ * Get the date, weekday and time of day in a timezone
+ */
+function localTime(date, timezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date);
+  } catch (e) {
+    throw new Error(`Invalid submission timezone "${timezone}" (SUBMIT_TIMEZONE): ${e.message}`);
+  }
+
+  const part = type => parts.find(p => p.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    weekday: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+    minutes: Number(part('hour')) * 60 + Number(part('minute')),
+    text: `${part('weekday')} ${part('year')}-${part('month')}-${part('day')} ${part('hour')}:${part('minute')}`,
+  };
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function formatHours(hours) {
+  return hours >= 10 ? `${Math.round(hours)}h` : `${Math.round(hours * 10) / 10}h`;
+}
+
+/**
+ * Check the active app's submission policies for a build
+ * @param {object} build - { uploadedDate, betaState } of the build to submit
+ * @param {{number: string, labels: string[]}|null} pr - The build's PR, if known
+ * @param {Date} now
+ * @returns {Array<{rule: string, reason: string}>} - Policies that block the submission; empty if it may go ahead
+ */
+export function checkSubmissionPolicy(build, pr, now = new Date()) {
+  const timezone = CONFIG.submitTimezone;
+  const days = parseDays(CONFIG.submitDays);
+  const hours = parseHours(CONFIG.submitHours);
+  const blackouts = parseBlackouts(CONFIG.submitBlackoutDates);
+  const local = localTime(now, timezone);
+  const violations = [];
+
+  const minSoakHours = Number(CONFIG.submitMinSoakHours || 0);
+  if (!Number.isFinite(minSoakHours) || minSoakHours < 0) {
+    throw new Error(`SUBMIT_MIN_SOAK_HOURS must be a non-negative number, got "${CONFIG.submitMinSoakHours}"`);
+  }
+  if (minSoakHours > 0 && build.uploadedDate) {
+    const uploadedAt = new Date(build.uploadedDate);
+    const soakedHours = (now - uploadedAt) / 3600000;
+    if (soakedHours < minSoakHours) {
+      const until = new Date(uploadedAt.getTime() + minSoakHours * 3600000).toISOString().replace('T', ' ').substring(0, 16);
+      violations.push({
+        rule: 'soak-time',
+        reason: `Build has been in TestFlight for ${formatHours(Math.max(soakedHours, 0))}, the minimum is ${minSoakHours}h (until ${until} UTC)`,
+      });
+    }
+  }
+
+  const inDays = !days || days.has(local.weekday);
+  const inHours = !hours || (hours.start < hours.end
+    ? local.minutes >= hours.start && local.minutes < hours.end
+    : local.minutes >= hours.start || local.minutes < hours.end);
+  if (!inDays || !inHours) {
+    const window = [
+      CONFIG.submitDays.join(', '),
+      hours && `${formatMinutes(hours.start)}-${formatMinutes(hours.end)}`,
+    ].filter(Boolean).join(' ');
+    violations.push({ rule: 'window', reason: `Outside the submission window (${window} ${timezone}): it is ${local.text}` });
+  }
+
+  const blackout = blackouts.find(({ from, to }) => local.date >= from && local.date <= to);
+  if (blackout) {
+    violations.push({ rule: 'blackout', reason: `Release freeze in effect (${blackout.label})` });
+  }
+
+  const blockingLabels = CONFIG.submitBlockingLabels.map(label => label.toLowerCase());
+  const labels = (pr?.labels || []).filter(label => blockingLabels.includes(label.toLowerCase()));
+  if (labels.length > 0) {
+    violations.push({ rule: 'label', reason: `PR #${pr.number} is labeled ${labels.map(label => `"${label}"`).join(', ')}` });
+  }
+
+  const requiredBetaStates = CONFIG.submitRequiredBetaStates;
+  if (requiredBetaStates.length > 0 && !requiredBetaStates.includes(build.betaState)) {
+    violations.push({ rule: 'beta-state', reason: `Beta state is ${build.betaState}, required ${requiredBetaStates.join(' or ')}` });
+  }
+
+  return violations;
+}
+
+/**
+ * Check the submission policies for a build, looking up its PR's labels when labels can block
+ * @param {GitHubAPI} github
+ * @param {object} build - { buildNumber, uploadedDate, betaState }
+ * @param {string|null} prNumber
+ * @returns {Promise<Array<{rule: string, reason: string}>>}
+ */
+export async function getPolicyViolations(github, build, prNumber) {
+  let pr = null;
+  if (prNumber && CONFIG.submitBlockingLabels.length > 0) {
+    const details = await github.getPRDetails(prNumber);
+    pr = { number: prNumber, labels: details?.labels || [] };
+  }
+
+  if (CONFIG.submitMinSoakHours && !build.uploadedDate) {
+    log.warn(`Upload date of build #${build.buildNumber} is unknown - skipping the soak time check`);
+  }
+
+  return checkSubmissionPolicy(build, pr);
+}
@@ -0,0 +1,118 @@
+import { CONFIG, log } from './config.js';
+import { readState, writeState } from './state.js';
+import { recordEvent } from './history.js';
+import { Notifier, EVENT_TEMPLATES, renderTemplate } from './notify.js';
+
+// App Review rejections (DEVELOPER_REJECTED is a review we cancelled ourselves)
+const REVIEW_REJECTED_STATES = ['REJECTED', 'METADATA_REJECTED'];
+
+export async function runRejectionCheck(asc, github, DRY_RUN) {
+  log('--- Rejection Check ---');
+
+  // Step 1: Look for a rejected version
+  log('Checking for rejected versions...');
+  const rejection = await asc.checkRejectedVersion(REVIEW_REJECTED_STATES);
+  const reported = readState('rejections');
+
+  if (!rejection.rejected) {
+    log('No rejected version');
+
+    // Forget old rejections so a later rejection of the same version is reported again
+    if (Object.keys(reported).length > 0 && !DRY_RUN) {
+      writeState('rejections', {});
+    }
+    return;
+  }
+
+  // Step 2: Skip rejections we already reported
+  const key = `${rejection.versionId}:${rejection.buildNumber}:${rejection.state}`;
+  if (reported[key]) {
+    log(`Rejection of build #${rejection.buildNumber} (v${rejection.version}) already reported at ${reported[key].reportedAt}`);
+    return;
+  }
+
+  log.warn(`Build #${rejection.buildNumber} (v${rejection.version}) was rejected (${rejection.state})`, { buildNumber: rejection.buildNumber, version: rejection.version, state: rejection.state });
+
+  // Step 3: Collect whatever details the API exposes
+  let submission = null;
+  try {
+    submission = await asc.getReviewSubmissionForVersion(rejection.versionId);
+  } catch (e) {
+    log.warn(`Could not fetch review submission details: ${e.message}`);
+  }
+
+  const appId = await asc.getAppId();
+  const details = [
+    `- Version: ${rejection.version}`,
+    `- Build: #${rejection.buildNumber}`,
+    `- State: ${rejection.state}`,
+  ];
+  if (submission) {
+    details.push(`- Review submission: ${submission.state}`);
+    if (submission.submittedDate) {
+      details.push(`- Submitted: ${submission.submittedDate}`);
+    }
+  }
+
+  const eventData = {
+    buildNumber: rejection.buildNumber,
+    version: rejection.version,
+    state: rejection.state,
+    details: details.join('\n'),
+    appStoreConnectUrl: `https://appstoreconnect.apple.com/apps/${appId}`,
+  };
+
+  // Step 4: Find the build's PR
+  let prNumber = null;
+  if (rejection.buildNumber !== 'unknown') {
+    const commitInfo = await asc.getBuildCommitSHA(rejection.buildNumber);
+    if (commitInfo.found && commitInfo.commitSha) {
+      prNumber = await github.findPRFromCommit(commitInfo.commitSha);
+    }
+  }
+
+  if (!prNumber) {
+    log(`No PR found for build #${rejection.buildNumber}`);
+  }
+
+  // Step 5: Report
+  if (DRY_RUN) {
+    if (prNumber) {
+      log(`[DRY RUN] Would add rejection comment to PR #${prNumber}`);
+    }
+    if (CONFIG.rejectionIssue) {
+      log('[DRY RUN] Would open a GitHub issue for the rejection');
+    }
+    return;
+  }
+
+  const entry = { reportedAt: new Date().toISOString(), prNumber, issueUrl: null };
+  recordEvent('rejected', {
+    buildNumber: rejection.buildNumber,
+    version: rejection.version,
+    versionId: rejection.versionId,
+    state: rejection.state,
+  });
+
+  const { prCommented } = await new Notifier(github).notify('rejected', { ...eventData, prNumber });
+  if (prCommented) {
+    log(`Added rejection comment to PR #${prNumber}`);
+  }
+
+  if (CONFIG.rejectionIssue) {
+    const title = renderTemplate(EVENT_TEMPLATES.rejected.title, eventData);
+    const message = renderTemplate(EVENT_TEMPLATES.rejected.message, eventData);
+    const body = prNumber ? `${message}\n\nPR: #${prNumber}` : message;
+    try {
+      entry.issueUrl = await github.createIssue(title, body, CONFIG.rejectionIssueLabels);
+      log(`Opened issue ${entry.issueUrl}`);
+    } catch (e) {
+      log.warn(`Failed to open GitHub issue: ${e.message}`);
+    }
+  }
+
+  // Only the current rejection needs remembering
+  writeState('rejections', { [key]: entry });
+
+  log('Rejection check complete');
+}
@@ -0,0 +1,247 @@
+import { CONFIG, log } from './config.js';
+
+// App Store Connect rejects "What's New" text longer than this
+export const MAX_RELEASE_NOTES_LENGTH = 4000;
+
+export const DEFAULT_RELEASE_NOTES = 'Bug fixes and improvements';
+
+/**
+ * Build release notes for a build, aggregated from every PR merged since the last release tag.
+ * Falls back to the build's own PR (or the default text) when nothing can be aggregated.
+ * @param {GitHubAPI} github
+ * @param {GitHubTags} tags
+ * @param {string} commitSha - Commit the build was made from
+ * @param {string|null} prNumber - PR that introduced the commit, if known
+ * @returns {Promise<{text: string, defaultLocale: string, localized: Object<string, string>, commitSha: string}>}
+ *   text is the default locale's notes; localized holds notes from PR sections for other locales
+ */
+export async function buildReleaseNotes(github, tags, commitSha, prNumber) {
+  const defaultLocale = CONFIG.releaseNotesDefaultLocale;
+  let prSections = await collectSectionsSinceLastRelease(github, tags, commitSha);
+  let prTitle = null;
+
+  if (prSections.length === 0 && prNumber) {
+    const prDetails = await github.getPRDetails(prNumber).catch((e) => {
+      log.warn(`Could not get PR #${prNumber}: ${e.message}`);
+      return null;
+    });
+    if (prDetails) {
+      const sections = github.findReleaseNotesSections(prDetails.body);
+      if (Object.keys(sections).length > 0) {
+        prSections = [sections];
+      }
+      prTitle = prDetails.title;
+    }
+  }
+
+  const localized = {};
+  const locales = new Set(prSections.flatMap(sections => Object.keys(sections)));
+  locales.delete('default');
+  locales.delete(defaultLocale.toLowerCase());
+  for (const locale of locales) {
+    localized[locale] = aggregateLocale(prSections, locale);
+  }
+
+  let text = aggregateLocale(prSections, defaultLocale.toLowerCase());
+  if (!text) {
+    text = await readReleaseNotesFile(github, defaultLocale, commitSha) || (prTitle && capReleaseNotes(prTitle)) || DEFAULT_RELEASE_NOTES;
+  }
+
+  return { text, defaultLocale, localized, commitSha };
+}
+
+/**
+ * Get the release notes sections of every PR merged since the last release tag
+ * @returns {Promise<Array<Object<string, string>>>} - Sections by locale, one entry per PR that has release notes
+ */
+async function collectSectionsSinceLastRelease(github, tags, commitSha) {
+  let lastTag, prs;
+  try {
+    lastTag = await tags.getLatestReleaseTag();
+    if (lastTag) {
+      log(`Collecting release notes from PRs merged since ${lastTag.name} (${lastTag.commitSha.substring(0, 7)})...`);
+      prs = await github.getMergedPRsBetween(lastTag.commitSha, commitSha);
+    }
+  } catch (e) {
+    log.warn(`Could not collect release notes since the last release: ${e.message}`);
+    return [];
+  }
+
+  if (!lastTag) {
+    log('No previous release tag found');
+    return [];
+  }
+
+  if (!prs) {
+    log.warn(`Could not compare ${lastTag.name} with ${commitSha.substring(0, 7)}`);
+    return [];
+  }
+
+  const prSections = [];
+  for (const pr of prs) {
+    const sections = github.findReleaseNotesSections(pr.body);
+    if (Object.keys(sections).length > 0) {
+      prSections.push(sections);
+    } else {
+      log(`PR #${pr.number} has no Release Notes section - skipping`);
+    }
+  }
+
+  if (prSections.length > 0) {
+    log(`Using release notes from ${prSections.length} of ${prs.length} merged PR(s)`);
+  } else {
+    log('No merged PRs with release notes since the last release');
+  }
+
+  return prSections;
+}
+
+/**
+ * Aggregate one locale's notes from the PRs that have a section for it. The default locale also
+ * takes unsuffixed sections; other locales never mix in default-locale text, so a locale no PR
+ * covers falls back as a whole in getReleaseNotesForLocale()
+ * @returns {string|null}
+ */
+function aggregateLocale(prSections, locale) {
+  const isDefaultLocale = locale === CONFIG.releaseNotesDefaultLocale.toLowerCase();
+  const sections = prSections
+    .map(sections => (isDefaultLocale ? sections[locale] || sections.default : sections[locale]))
+    .filter(Boolean);
+
+  return sections.length > 0 ? formatReleaseNotes(sections) : null;
+}
+
+/**
+ * Read a locale's release notes file from the repository at the build's commit
+ * @returns {Promise<string|null>}
+ */
+async function readReleaseNotesFile(github, locale, commitSha) {
+  if (!CONFIG.releaseNotesPath || !commitSha) return null;
+
+  const filePath = CONFIG.releaseNotesPath.replace('{locale}', locale);
+  let content;
+  try {
+    content = await github.getFileContent(filePath, commitSha);
+  } catch (e) {
+    log.warn(`Could not read ${filePath}: ${e.message}`);
+    return null;
+  }
+  const notes = content?.trim();
+  return notes ? capReleaseNotes(notes) : null;
+}
+
+/**
+ * Get the release notes to use for a locale: the locale's PR sections, then its release
+ * notes file, then the default locale's notes
+ * @returns {Promise<{notes: string, source: string}>}
+ */
+export async function getReleaseNotesForLocale(github, releaseNotes, locale) {
+  if (locale.toLowerCase() === releaseNotes.defaultLocale.toLowerCase()) {
+    return { notes: releaseNotes.text, source: 'default locale' };
+  }
+
+  const fromPRs = releaseNotes.localized[locale.toLowerCase()];
+  if (fromPRs) {
+    return { notes: fromPRs, source: 'PR' };
+  }
+
+  const fromFile = await readReleaseNotesFile(github, locale, releaseNotes.commitSha);
+  if (fromFile) {
+    return { notes: fromFile, source: 'file' };
+  }
+
+  return { notes: releaseNotes.text, source: `fallback to ${releaseNotes.defaultLocale}` };
+}
+
+/**
+ * Write release notes to every localization of a version, creating the default locale
+ * and any configured locales that are missing
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubAPI} github
+ * @param {string} versionId
+ * @param {object} releaseNotes - Result of buildReleaseNotes()
+ */
+export async function updateLocalizedReleaseNotes(asc, github, versionId, releaseNotes) {
+  const localizations = await asc.getVersionLocalizations(versionId);
+  const existing = new Set(localizations.map(l => l.attributes.locale.toLowerCase()));
+  const failed = [];
+
+  for (const localization of localizations) {
+    const locale = localization.attributes.locale;
+    const { notes, source } = await getReleaseNotesForLocale(github, releaseNotes, locale);
+    try {
+      await asc.updateLocalizationWhatsNew(localization.id, notes);
+      log(`Release notes ${locale}: updated (${source})`);
+    } catch (e) {
+      log.warn(`Release notes ${locale}: failed - ${e.message}`);
+      failed.push(locale);
+    }
+  }
+
+  const wanted = [releaseNotes.defaultLocale, ...CONFIG.releaseNotesLocales];
+  for (const locale of wanted) {
+    if (existing.has(locale.toLowerCase())) continue;
+    existing.add(locale.toLowerCase());
+
+    const { notes, source } = await getReleaseNotesForLocale(github, releaseNotes, locale);
+    try {
+      await asc.createVersionLocalization(versionId, locale, notes);
+      log(`Release notes ${locale}: created (${source})`);
+    } catch (e) {
+      log.warn(`Release notes ${locale}: failed - ${e.message}`);
+      failed.push(locale);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Failed to update release notes for: ${failed.join(', ')}`);
+  }
+}
+
+/**
+ * Merge release notes sections into one de-duplicated list, keeping first-seen order
+ * @param {string[]} sections - Release notes sections, oldest PR first
+ * @returns {string}
+ */
+export function formatReleaseNotes(sections) {
+  const seen = new Set();
+  const entries = [];
+
+  for (const section of sections) {
+    for (const line of section.split('\n')) {
+      const entry = line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim();
+      if (!entry) continue;
+
+      const key = entry.toLowerCase().replace(/\s+/g, ' ').replace(/[.!]+$/, '');
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      entries.push(entry);
+    }
+  }
+
+  if (entries.length === 1) {
+    return capReleaseNotes(entries[0]);
+  }
+
+  return capReleaseNotes(entries.map(entry => `- ${entry}`).join('\n'));
+}
+
+/**
+ * Cap release notes at the App Store limit, cutting at a line boundary where possible
+ * @param {string} notes
+ * @returns {string}
+ */
+export function capReleaseNotes(notes) {
+  if (notes.length <= MAX_RELEASE_NOTES_LENGTH) {
+    return notes;
+  }
+
+  const truncated = notes.substring(0, MAX_RELEASE_NOTES_LENGTH);
+  const lastNewline = truncated.lastIndexOf('\n');
+  if (lastNewline > 0) {
+    return truncated.substring(0, lastNewline);
+  }
+
+  return truncated.substring(0, MAX_RELEASE_NOTES_LENGTH - 1) + '…';
+}
@@ -0,0 +1,40 @@
+import { log } from './config.js';
+import { recordEvent } from './history.js';
+
+/**
+ * Release the version waiting in PENDING_DEVELOPER_RELEASE
+ * @param {AppStoreConnectAPI} asc
+ * @param {string|undefined} expectedVersion - Only release if the waiting version matches this
+ * @param {boolean} DRY_RUN
+ */
+export async function runReleaseCommand(asc, expectedVersion, DRY_RUN) {
+  log('--- Release ---');
+
+  const reviewStatus = await asc.checkBuildInReview();
+
+  if (!reviewStatus.inReview || reviewStatus.state !== 'PENDING_DEVELOPER_RELEASE') {
+    const current = reviewStatus.inReview
+      ? `build #${reviewStatus.buildNumber} (v${reviewStatus.version}) is ${reviewStatus.state}`
+      : 'no version is in review';
+    log(`Nothing to release: ${current}`);
+    return;
+  }
+
+  if (expectedVersion && reviewStatus.version !== expectedVersion) {
+    throw new Error(`Version waiting for release is ${reviewStatus.version}, not ${expectedVersion}`);
+  }
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would release build #${reviewStatus.buildNumber} (v${reviewStatus.version})`);
+    return;
+  }
+
+  log(`Releasing build #${reviewStatus.buildNumber} (v${reviewStatus.version})...`);
+  await asc.releaseVersion(reviewStatus.versionId);
+  recordEvent('release-requested', {
+    buildNumber: reviewStatus.buildNumber,
+    version: reviewStatus.version,
+    versionId: reviewStatus.versionId,
+  });
+  log(`Release requested for v${reviewStatus.version} - release sync will tag it once it is live`, { buildNumber: reviewStatus.buildNumber, version: reviewStatus.version });
+}
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+
+const SMTP_TIMEOUT_MS = 30000;
+
+/**
+ * Minimal SMTP client: one connection per message, STARTTLS and AUTH PLAIN
+ */
+class SMTPConnection {
+  constructor(host) {
+    this.host = host;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiter = null;
+    this.error = null;
+    this.onData = this.onData.bind(this);
+    this.onError = this.onError.bind(this);
+  }
+
+  attach(socket) {
+    if (this.socket) {
+      this.socket.removeListener('data', this.onData);
+      this.socket.removeListener('error', this.onError);
+    }
+    this.socket = socket;
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+  }
+
+  onData(chunk) {
+    this.buffer += chunk.toString('utf8');
+
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.substring(0, newline).replace(/\r$/, '');
+      this.buffer = this.buffer.substring(newline + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.replies.push({ code: parseInt(line.substring(0, 3), 10), lines: this.lines });
+        this.lines = [];
+      }
+    }
+
+    this.flush();
+  }
+
+  onError(error) {
+    this.error = error;
+    this.flush();
+  }
+
+  flush() {
+    if (!this.waiter) return;
+
+    const { resolve, reject } = this.waiter;
+    if (this.replies.length > 0) {
+      this.waiter = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiter = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiter = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  async command(line, expectedCodes) {
+    if (line) {
+      this.socket.write(`${line}\r\n`);
+    }
+
+    const reply = await this.read();
+    if (!expectedCodes.includes(reply.code)) {
+      const name = line ? line.split(' ')[0] : 'greeting';
+      throw new Error(`SMTP ${name} failed: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  connect(port, secure) {
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host: this.host, port, servername: this.host })
+        : net.connect({ host: this.host, port });
+      this.attach(socket);
+      socket.once(secure ? 'secureConnect' : 'connect', resolve);
+      socket.once('error', reject);
+    });
+  }
+
+  startTLS() {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({ socket: this.socket, servername: this.host });
+      this.attach(socket);
+      socket.once('secureConnect', resolve);
+      socket.once('error', reject);
+    });
+  }
+
+  close() {
+    this.socket?.end();
+  }
+}
+
+function encodeHeader(value) {
+  // Non-ASCII headers must be encoded words
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+  ];
+
+  const body = Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) || [];
+  return [...headers, '', ...body].join('\r\n');
+}
+
+/**
+ * Send a plain-text email
+ * @param {object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} [options.port] - Defaults to 465 when secure, 587 otherwise
+ * @param {boolean} [options.secure] - Use TLS from the start (port 465); otherwise STARTTLS is used when offered
+ * @param {string} [options.user] - Username for AUTH PLAIN, only sent over TLS
+ * @param {string} [options.password]
+ * @param {boolean} [options.allowInsecureAuth] - Also authenticate without TLS, sending the password in cleartext
+ * @param {string} options.from - Sender address
+ * @param {string[]} options.to - Recipient addresses
+ * @param {string} options.subject
+ * @param {string} options.text
+ */
+export async function sendMail(options) {
+  const secure = options.secure === true;
+  const port = options.port || (secure ? 465 : 587);
+  const connection = new SMTPConnection(options.host);
+
+  try {
+    await connection.connect(port, secure);
+    await connection.command(null, [220]);
+
+    const ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+    let encrypted = secure;
+    if (!secure && ehlo.lines.some(line => /^250[ -]STARTTLS/i.test(line))) {
+      await connection.command('STARTTLS', [220]);
+      await connection.startTLS();
+      await connection.command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (options.user) {
+      if (!encrypted && !options.allowInsecureAuth) {
+        throw new Error(`${options.host} offers no STARTTLS - refusing to send the SMTP password unencrypted (set "secure": true, or "allowInsecureAuth": true to send it anyway)`);
+      }
+      const credentials = Buffer.from(`\0${options.user}\0${options.password || ''}`, 'utf8').toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    const address = (value) => value.match(/<([^>]+)>/)?.[1] || value;
+    await connection.command(`MAIL FROM:<${address(options.from)}>`, [250]);
+    for (const recipient of options.to) {
+      await connection.command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+    }
+
+    await connection.command('DATA', [354]);
+
+    // Lines starting with a dot must be escaped (dot-stuffing)
+    const message = buildMessage(options).replace(/^\./gm, '..');
+    await connection.command(`${message}\r\n.`, [250]);
+
+    await connection.command('QUIT', [221]).catch(() => {});
+  } finally {
+    connection.close();
+  }
+}
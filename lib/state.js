@@ -0,0 +1,41 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+
+const STATE_DIR = path.join(CONFIG.rootDir, 'state');
+
+/**
+ * Get the state file for the active app
+ * @param {string} name - State name, e.g. 'rejections'
+ */
+function getStateFile(name) {
+  return path.join(STATE_DIR, `${CONFIG.appKey || 'default'}-${name}.json`);
+}
+
+/**
+ * Read a JSON state file for the active app
+ * @param {string} name - State name
+ * @param {*} fallback - Returned when the file doesn't exist or can't be parsed
+ */
+export function readState(name, fallback = {}) {
+  try {
+    return JSON.parse(fs.readFileSync(getStateFile(name), 'utf8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON state file for the active app
+ * @param {string} name - State name
+ * @param {*} data - JSON-serializable data
+ */
+export function writeState(name, data) {
+  const file = getStateFile(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // Write to a temp file first so a crash never leaves half-written state
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tempFile, file);
+}
@@ -0,0 +1,84 @@
+import { CONFIG, log } from './config.js';
+import { getReleaseTagName } from './versioning.js';
+
+/**
+ * Collect where the active app stands, without changing anything
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubTags} tags
+ * @returns {Promise<object>} - Status report; sections are null when there is nothing to show
+ */
+export async function getStatus(asc, tags) {
+  const status = {
+    app: { key: CONFIG.appKey || null, name: CONFIG.appName, bundleId: CONFIG.appIdentifier },
+    checkedAt: new Date().toISOString(),
+    inReview: null,
+    rejected: null,
+    testFlight: null,
+    live: null,
+  };
+
+  const reviewStatus = await asc.checkBuildInReview();
+  if (reviewStatus.inReview) {
+    status.inReview = { version: reviewStatus.version, buildNumber: reviewStatus.buildNumber, state: reviewStatus.state };
+  }
+
+  const rejection = await asc.checkRejectedVersion();
+  if (rejection.rejected) {
+    status.rejected = { version: rejection.version, buildNumber: rejection.buildNumber, state: rejection.state };
+  }
+
+  const latestBuild = await asc.getLatestTestFlightReadyBuild();
+  if (latestBuild.found) {
+    const commitInfo = await asc.getBuildCommitSHA(latestBuild.buildNumber);
+    status.testFlight = {
+      version: latestBuild.version,
+      buildNumber: latestBuild.buildNumber,
+      betaState: latestBuild.betaState,
+      workflowId: commitInfo.workflowId || null,
+      workflowName: commitInfo.workflowName || null,
+      commitSha: commitInfo.commitSha || null,
+    };
+  }
+
+  const liveStatus = await asc.getLiveProductionBuild();
+  if (liveStatus.live) {
+    const tagName = getReleaseTagName(liveStatus.version, liveStatus.buildNumber);
+    status.live = {
+      version: liveStatus.version,
+      buildNumber: liveStatus.buildNumber,
+      tag: tagName,
+      tagExists: await tags.tagExists(tagName),
+    };
+  }
+
+  return status;
+}
+
+/**
+ * Print a status report from getStatus()
+ */
+export function printStatus(status) {
+  const { inReview, rejected, testFlight, live } = status;
+
+  log(`--- Status: ${status.app.name} (${status.app.bundleId}) ---`);
+
+  log(inReview
+    ? `In review:  v${inReview.version} build #${inReview.buildNumber} (${inReview.state})`
+    : 'In review:  none');
+
+  log(rejected
+    ? `Rejected:   v${rejected.version} build #${rejected.buildNumber} (${rejected.state})`
+    : 'Rejected:   none');
+
+  if (testFlight) {
+    const workflow = testFlight.workflowName ? `'${testFlight.workflowName}' workflow` : 'unknown workflow';
+    const commit = testFlight.commitSha ? `commit ${testFlight.commitSha.substring(0, 7)}` : 'commit unknown';
+    log(`TestFlight: v${testFlight.version} build #${testFlight.buildNumber} (beta ${testFlight.betaState}), ${workflow}, ${commit}`);
+  } else {
+    log('TestFlight: no build ready for submission');
+  }
+
+  log(live
+    ? `Live:       v${live.version} build #${live.buildNumber}, tag ${live.tag} ${live.tagExists ? 'exists' : 'missing'}`
+    : 'Live:       none');
+}
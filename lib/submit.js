@@ -0,0 +1,157 @@
+import { CONFIG, log } from './config.js';
+import { buildReleaseNotes, capReleaseNotes, DEFAULT_RELEASE_NOTES } from './release-notes.js';
+import { submitBuild } from './deploy.js';
+import { recordEvent } from './history.js';
+import { Notifier } from './notify.js';
+import { getPolicyViolations } from './policy.js';
+
+// Review states a submission can be withdrawn from
+const CANCELLABLE_STATES = ['WAITING_FOR_REVIEW', 'IN_REVIEW'];
+
+/**
+ * Find the PR of a build from its Xcode Cloud commit
+ * @returns {Promise<{commitSha: string|null, prNumber: number|null}>}
+ */
+async function findBuildPR(asc, github, buildNumber) {
+  const commitInfo = await asc.getBuildCommitSHA(buildNumber);
+  if (!commitInfo.found || !commitInfo.commitSha) {
+    return { commitSha: null, prNumber: null };
+  }
+  return { commitSha: commitInfo.commitSha, prNumber: await github.findPRFromCommit(commitInfo.commitSha) };
+}
+
+/**
+ * Submit a specific build for review, bypassing the deploy check's choice of build
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubTags} tags
+ * @param {GitHubAPI} github
+ * @param {string} buildNumber
+ * @param {object} options
+ * @param {string} [options.notes] - Release notes for the default locale; collected from PRs when not given
+ * @param {boolean} [options.force] - Submit even if the submission policy holds the build back
+ * @param {boolean} DRY_RUN
+ */
+export async function runSubmitCommand(asc, tags, github, buildNumber, { notes, force }, DRY_RUN) {
+  log(`--- Submit: build #${buildNumber} ---`);
+
+  const buildDetails = await asc.getBuildByNumber(buildNumber);
+  if (!buildDetails) {
+    throw new Error(`Build #${buildNumber} not found`);
+  }
+  if (buildDetails.processingState !== 'VALID') {
+    throw new Error(`Build #${buildNumber} is ${buildDetails.processingState}, not VALID`);
+  }
+
+  log(`Build #${buildNumber} (v${buildDetails.version})`);
+
+  // Another submission has to be withdrawn first, so it is never replaced by accident
+  const reviewStatus = await asc.checkBuildInReview();
+  if (reviewStatus.inReview) {
+    if (reviewStatus.buildNumber !== buildNumber) {
+      const next = CANCELLABLE_STATES.includes(reviewStatus.state)
+        ? 'run cancel-review first'
+        : 'release it (node index.js release) or reject it in App Store Connect first';
+      throw new Error(`Build #${reviewStatus.buildNumber} (v${reviewStatus.version}) is ${reviewStatus.state} - ${next}`);
+    }
+    log(`Build #${buildNumber} is already ${reviewStatus.state}`);
+    return;
+  }
+
+  const { commitSha, prNumber } = await findBuildPR(asc, github, buildNumber);
+  if (commitSha) {
+    log(`Build #${buildNumber} is from commit: ${commitSha.substring(0, 7)}${prNumber ? ` (PR #${prNumber})` : ''}`);
+  } else {
+    log(`No commit SHA found for build #${buildNumber}`);
+  }
+
+  const violations = await getPolicyViolations(github, buildDetails, prNumber);
+  if (violations.length > 0) {
+    log(`Build #${buildNumber} is held back by the submission policy:`);
+    violations.forEach(({ reason }) => log(`  - ${reason}`));
+    if (!force) {
+      throw new Error('Not submitting - use --force to submit anyway');
+    }
+    log('Submitting anyway (--force)');
+  }
+
+  let releaseNotes;
+  if (notes) {
+    releaseNotes = { text: capReleaseNotes(notes.trim()), defaultLocale: CONFIG.releaseNotesDefaultLocale, localized: {}, commitSha };
+  } else if (commitSha) {
+    releaseNotes = await buildReleaseNotes(github, tags, commitSha, prNumber);
+  } else {
+    releaseNotes = { text: DEFAULT_RELEASE_NOTES, defaultLocale: CONFIG.releaseNotesDefaultLocale, localized: {}, commitSha };
+  }
+  log(`Release notes (${releaseNotes.defaultLocale}): ${releaseNotes.text}`);
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would submit build #${buildNumber} (v${buildDetails.version}) for review`);
+    if (CONFIG.phasedRelease) {
+      log('[DRY RUN] Would enable phased release');
+    }
+    return;
+  }
+
+  log(`Submitting build #${buildNumber} for review...`);
+  const submitted = await submitBuild(asc, github, new Notifier(github), buildDetails, releaseNotes, prNumber);
+  if (!submitted) {
+    throw new Error(`Build #${buildNumber} was not submitted`);
+  }
+}
+
+/**
+ * Withdraw the version waiting for or in App Review
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubAPI} github
+ * @param {string|undefined} expectedBuild - Only cancel if the build in review matches this
+ * @param {boolean} DRY_RUN
+ */
+export async function runCancelReviewCommand(asc, github, expectedBuild, DRY_RUN) {
+  log('--- Cancel Review ---');
+
+  const reviewStatus = await asc.checkBuildInReview();
+
+  if (!reviewStatus.inReview || !CANCELLABLE_STATES.includes(reviewStatus.state)) {
+    const current = reviewStatus.inReview
+      ? `build #${reviewStatus.buildNumber} (v${reviewStatus.version}) is ${reviewStatus.state}`
+      : 'no version is in review';
+    log(`Nothing to cancel: ${current}`);
+    return;
+  }
+
+  if (expectedBuild && reviewStatus.buildNumber !== expectedBuild) {
+    throw new Error(`Build in review is #${reviewStatus.buildNumber}, not #${expectedBuild}`);
+  }
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would cancel review for build #${reviewStatus.buildNumber} (v${reviewStatus.version})`);
+    return;
+  }
+
+  log(`Cancelling review for build #${reviewStatus.buildNumber} (v${reviewStatus.version})...`);
+  const cancelResult = await asc.cancelReview(reviewStatus.versionId);
+  if (!cancelResult.success) {
+    throw new Error(`Failed to cancel review: ${cancelResult.error}`);
+  }
+
+  log(`Successfully cancelled review for build #${reviewStatus.buildNumber}`, { buildNumber: reviewStatus.buildNumber, version: reviewStatus.version });
+  recordEvent('review-cancelled', {
+    buildNumber: reviewStatus.buildNumber,
+    version: reviewStatus.version,
+    versionId: reviewStatus.versionId,
+  });
+
+  try {
+    const { prNumber } = await findBuildPR(asc, github, reviewStatus.buildNumber);
+    const { prCommented } = await new Notifier(github).notify('review-withdrawn', {
+      buildNumber: reviewStatus.buildNumber,
+      version: reviewStatus.version,
+      prNumber,
+    });
+    if (prCommented) {
+      log(`Added cancellation notice to PR #${prNumber}`);
+    }
+  } catch (e) {
+    log.warn(`Could not notify cancelled build's PR: ${e.message}`);
+  }
+}
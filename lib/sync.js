@@ -1,7 +1,15 @@
 import { CONFIG, log } from './config.js';
+import { reportPhasedRelease } from './phased.js';
+import { recordEvent, recordFirstEvent, hasEvent } from './history.js';
+import { Notifier } from './notify.js';
+import { syncGitHubRelease } from './github-release.js';
+import { startNextBuild } from './trigger.js';
+import { hotfixesConfigured, isHotfixBuild, openBackMergePR } from './hotfix.js';
+import { getReleaseTagMessage, getReleaseTagName, isValidVersion } from './versioning.js';
 
 export async function runReleaseSync(asc, tags, github, DRY_RUN, triggerNextBuild = true) {
   log('--- Release Sync ---');
+  const notifier = new Notifier(github);
 
   // Step 1: Get live production build
   log('Checking for live production build...');
@@ -12,25 +20,52 @@ export async function runReleaseSync(asc, tags, github, DRY_RUN, triggerNextBuil
     return;
   }
 
-  log(`Live production build: #${liveStatus.buildNumber} (v${liveStatus.version})`);
+  log(`Live production build: #${liveStatus.buildNumber} (v${liveStatus.version})`, { buildNumber: liveStatus.buildNumber, version: liveStatus.version });
 
   // Validate version format
-  if (!/^\d+\.\d+(\.\d+)?$/.test(liveStatus.version)) {
-    log(`ERROR: Invalid version format: ${liveStatus.version}`);
+  if (!isValidVersion(liveStatus.version)) {
+    log.error(`Invalid version format: ${liveStatus.version}`);
     return;
   }
 
+  // Report phased release progress on every run, even once the build is tagged
+  try {
+    await reportPhasedRelease(asc, github, liveStatus, DRY_RUN);
+  } catch (e) {
+    log.warn(`Could not check phased release: ${e.message}`);
+  }
+
   // Step 2: Check if tag already exists
-  const tagName = `v${liveStatus.version}-${liveStatus.buildNumber}`;
+  const tagName = getReleaseTagName(liveStatus.version, liveStatus.buildNumber);
   log(`Checking if tag ${tagName} already exists...`);
 
-  if (tags.tagExists(tagName)) {
+  if (await tags.tagExists(tagName)) {
     log(`Tag ${tagName} already exists - build already synced`);
+
+    // Catch up on a release or back-merge that failed last time, or a tag from before they were configured
+    const needsRelease = CONFIG.githubRelease && !hasEvent({ type: 'github-release', tagName });
+    const needsBackMerge = hotfixesConfigured() && !hasEvent({ type: 'back-merge', buildNumber: liveStatus.buildNumber });
+    if (needsRelease || needsBackMerge) {
+      const commitInfo = await asc.getBuildCommitSHA(liveStatus.buildNumber);
+      if (commitInfo.commitSha && needsRelease) {
+        await publishGitHubRelease(asc, github, tags, liveStatus, tagName, commitInfo.commitSha, DRY_RUN);
+      }
+      if (commitInfo.commitSha && needsBackMerge && isHotfixBuild(commitInfo)) {
+        await backMergeHotfix(github, tags, liveStatus, tagName, commitInfo.commitSha, DRY_RUN);
+      }
+    }
     return;
   }
 
   log(`New production release detected: build #${liveStatus.buildNumber}`);
 
+  // For the lead time metrics; versions released automatically skip PENDING_DEVELOPER_RELEASE,
+  // so going live is also the first sign of their approval
+  if (!DRY_RUN) {
+    recordFirstEvent('approved', liveStatus);
+    recordFirstEvent('live', liveStatus);
+  }
+
   // Step 3: Get commit SHA for this build
   log(`Getting commit SHA for build #${liveStatus.buildNumber}...`);
   const commitInfo = await asc.getBuildCommitSHA(liveStatus.buildNumber);
@@ -42,15 +77,16 @@ export async function runReleaseSync(asc, tags, github, DRY_RUN, triggerNextBuil
   }
 
   const commitSha = commitInfo.commitSha;
-  log(`Found commit: ${commitSha.substring(0, 7)}`);
+  const isHotfix = isHotfixBuild(commitInfo);
+  log(`Found commit: ${commitSha.substring(0, 7)}${isHotfix ? ` (hotfix${commitInfo.branch ? ` from ${commitInfo.branch}` : ''})` : ''}`);
 
   // Step 4: Verify commit exists on GitHub
-  if (!tags.commitExists(commitSha)) {
-    log(`ERROR: Commit ${commitSha} not found in repository`);
+  if (!(await tags.commitExists(commitSha))) {
+    log.error(`Commit ${commitSha} not found in repository`);
     return;
   }
 
-  const commitMsg = tags.getCommitMessage(commitSha);
+  const commitMsg = await tags.getCommitMessage(commitSha);
   log(`Commit message: ${commitMsg}`);
 
   // Step 5: Create tag
@@ -58,57 +94,79 @@ export async function runReleaseSync(asc, tags, github, DRY_RUN, triggerNextBuil
     log(`[DRY RUN] Would create tag ${tagName} on commit ${commitSha.substring(0, 7)}`);
   } else {
     log(`Creating tag ${tagName}...`);
-    tags.createTag(tagName, commitSha, `Production release: version ${liveStatus.version}, build ${liveStatus.buildNumber}`);
-    log(`Created tag ${tagName}`);
+    await tags.createTag(tagName, commitSha, getReleaseTagMessage(liveStatus.version, liveStatus.buildNumber, commitSha));
+    log(`Created tag ${tagName}`, { buildNumber: liveStatus.buildNumber, version: liveStatus.version, tag: tagName });
+    recordEvent('tag-created', {
+      buildNumber: liveStatus.buildNumber,
+      version: liveStatus.version,
+      tagName,
+      commitSha,
+    });
+    await notifier.notify('tag-created', {
+      buildNumber: liveStatus.buildNumber,
+      version: liveStatus.version,
+      tagName,
+      commitSha: commitSha.substring(0, 7),
+    });
+  }
+
+  if (CONFIG.githubRelease) {
+    await publishGitHubRelease(asc, github, tags, liveStatus, tagName, commitSha, DRY_RUN);
   }
 
-  // Step 6: Comment on the PR
-  const prNumber = github.findPRFromCommit(commitSha);
+  // Step 6: Comment on the PR and notify
+  let prNumber = await github.findPRFromCommit(commitSha);
+  const releasedFields = { buildNumber: liveStatus.buildNumber, version: liveStatus.version };
 
-  if (prNumber) {
-    if (DRY_RUN) {
+  if (prNumber && hasEvent({ type: 'pr-comment', kind: 'released', prNumber, ...releasedFields })) {
+    log(`Release comment already added to PR #${prNumber}`);
+    prNumber = null;
+  }
+
+  if (DRY_RUN) {
+    if (prNumber) {
       log(`[DRY RUN] Would add release comment to PR #${prNumber}`);
-    } else {
-      const comment = `Build #${liveStatus.buildNumber} has been released to the App Store as version ${liveStatus.version}.`;
-      if (github.addPRComment(prNumber, comment)) {
-        log(`Added release comment to PR #${prNumber}`);
-      }
+    }
+  } else {
+    const { prCommented } = await notifier.notify('released', { ...releasedFields, prNumber });
+    if (prCommented) {
+      log(`Added release comment to PR #${prNumber}`);
     }
   }
 
   log(`Successfully synced build #${liveStatus.buildNumber} and tagged as ${tagName}`);
 
-  // Step 7: Trigger next TestFlight build by pushing empty commit to develop
-  if (triggerNextBuild && CONFIG.iosRepoPath) {
-    log('Triggering next TestFlight build...');
-    const nextVersion = calculateNextVersion(liveStatus.version);
-    const commitMessage = `Trigger v${nextVersion} TestFlight build\n\nAutomatically triggered after v${liveStatus.version} went live.`;
-
-    if (DRY_RUN) {
-      log(`[DRY RUN] Would push empty commit to develop: "${commitMessage.split('\n')[0]}"`);
-    } else {
-      try {
-        tags.pushEmptyCommit('develop', commitMessage, CONFIG.iosRepoPath);
-        log(`Pushed empty commit to develop - v${nextVersion} build will start shortly`);
-      } catch (e) {
-        log(`Warning: Failed to trigger next build: ${e.message}`);
-      }
-    }
+  // Step 7: Merge a hotfix back into main
+  if (isHotfix) {
+    await backMergeHotfix(github, tags, liveStatus, tagName, commitSha, DRY_RUN);
+  }
+
+  // Step 8: Trigger next TestFlight build through Xcode Cloud or an empty commit; a hotfix only bumps the patch version
+  if (triggerNextBuild) {
+    await startNextBuild(asc, tags, liveStatus, DRY_RUN, { bump: isHotfix ? 'patch' : undefined });
   }
 
   log('Release sync complete');
 }
 
 /**
- * Calculate the next minor version
- * @param {string} currentVersion - e.g., "1.4" or "1.4.0"
- * @returns {string} - e.g., "1.5" or "1.5.0"
+ * Open the hotfix's back-merge PR; a failure is logged and retried on the next sync
+ */
+async function backMergeHotfix(github, tags, liveStatus, tagName, commitSha, DRY_RUN) {
+  try {
+    await openBackMergePR(github, tags, liveStatus, tagName, commitSha, DRY_RUN);
+  } catch (e) {
+    log.warn(`Could not open the back-merge PR for ${tagName}: ${e.message}`);
+  }
+}
+
+/**
+ * Create or update the tag's GitHub Release; a failure is logged and retried on the next sync
  */
-function calculateNextVersion(currentVersion) {
-  const parts = currentVersion.split('.').map(Number);
-  parts[1] = (parts[1] || 0) + 1;
-  if (parts.length >= 3) {
-    parts[2] = 0;
+async function publishGitHubRelease(asc, github, tags, liveStatus, tagName, commitSha, DRY_RUN) {
+  try {
+    await syncGitHubRelease(asc, github, tags, liveStatus, tagName, commitSha, DRY_RUN);
+  } catch (e) {
+    log.warn(`Could not create the GitHub release for ${tagName}: ${e.message}`);
   }
-  return parts.join('.');
 }
@@ -0,0 +1,164 @@
+import { CONFIG, log } from './config.js';
+import { sleep } from './http.js';
+import { hotfixesConfigured } from './hotfix.js';
+import { calculateNextVersion } from './versioning.js';
+
+// Seconds between checks of whether a started build run has left the queue
+const START_POLL_INTERVAL = 15;
+
+/**
+ * Check that the trigger settings fit together. The API can't pass a version to a build run,
+ * so TRIGGER_WORKFLOW rules out every setting that picks the next version.
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateTriggerSettings() {
+  if (!CONFIG.triggerWorkflow) {
+    return null;
+  }
+
+  const conflicting = [
+    CONFIG.versionBump && 'VERSION_BUMP',
+    CONFIG.versionBumpScript && 'VERSION_BUMP_SCRIPT',
+    hotfixesConfigured() && 'hotfixes (patch bump)',
+  ].filter(Boolean);
+  if (conflicting.length === 0) {
+    return null;
+  }
+  return `TRIGGER_WORKFLOW starts build runs without a version, so it can't be used with ${conflicting.join(', ')} - unset it to trigger builds with an empty commit from IOS_REPO_PATH, which names the version`;
+}
+
+/**
+ * Find TRIGGER_WORKFLOW (an ID or name) in the app's Xcode Cloud product
+ * @returns {Promise<object>} - ciWorkflows resource
+ */
+export async function resolveTriggerWorkflow(asc) {
+  const product = await asc.getAppCIProduct();
+  if (!product) {
+    throw new Error(`${CONFIG.appName} has no Xcode Cloud product`);
+  }
+
+  const wanted = CONFIG.triggerWorkflow;
+  const workflows = await asc.getWorkflows(product.id);
+  const workflow = workflows.find(w => w.id === wanted || w.attributes?.name === wanted);
+  if (!workflow) {
+    const available = workflows.map(w => `${w.attributes?.name} (${w.id})`).join(', ') || 'none';
+    throw new Error(`TRIGGER_WORKFLOW "${wanted}" not found. Workflows: ${available}`);
+  }
+  return workflow;
+}
+
+/**
+ * Find the TRIGGER_BRANCH git reference the trigger workflow builds
+ * @returns {Promise<object>} - scmGitReferences resource
+ */
+export async function resolveTriggerBranch(asc, workflow) {
+  const branch = CONFIG.triggerBranch;
+  const reference = await asc.getWorkflowBranch(workflow.id, branch);
+  if (!reference) {
+    throw new Error(`The repository of '${workflow.attributes?.name}' has no ${branch} branch (TRIGGER_BRANCH)`);
+  }
+  return reference;
+}
+
+/**
+ * Poll a build run until Xcode Cloud starts it, or give up after TRIGGER_START_TIMEOUT seconds
+ */
+async function waitForBuildRunStart(asc, buildRun) {
+  const timeout = CONFIG.triggerStartTimeout;
+  const deadline = Date.now() + timeout * 1000;
+  let run = buildRun;
+
+  while (run.attributes?.executionProgress === 'PENDING') {
+    if (Date.now() >= deadline) {
+      log.warn(`Build run #${run.attributes?.number} is still queued after ${timeout}s - not waiting any longer`);
+      return;
+    }
+    await sleep(START_POLL_INTERVAL * 1000);
+    run = await asc.getBuildRun(run.id);
+  }
+
+  const { number, executionProgress, completionStatus } = run.attributes || {};
+  if (executionProgress === 'COMPLETE') {
+    log.warn(`Build run #${number} finished before it was seen running: ${completionStatus}`);
+  } else {
+    log(`Build run #${number} is ${executionProgress?.toLowerCase() || 'started'}`);
+  }
+}
+
+/**
+ * Start a build run of TRIGGER_WORKFLOW on TRIGGER_BRANCH through the App Store Connect API
+ */
+async function startBuildRun(asc, DRY_RUN) {
+  const workflow = await resolveTriggerWorkflow(asc);
+  const reference = await resolveTriggerBranch(asc, workflow);
+  const target = `'${workflow.attributes?.name}' on ${CONFIG.triggerBranch}`;
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would start an Xcode Cloud build run of ${target}`);
+    return;
+  }
+
+  const buildRun = await asc.startBuildRun(workflow.id, reference.id);
+  log(`Started build run #${buildRun.attributes?.number} of ${target}`, { buildRunId: buildRun.id });
+
+  if (CONFIG.triggerStartTimeout > 0) {
+    // The run exists now, so a failed check must not fall back to a second trigger
+    await waitForBuildRunStart(asc, buildRun).catch((e) => {
+      log.warn(`Could not check whether build run #${buildRun.attributes?.number} started: ${e.message}`);
+    });
+  }
+}
+
+/**
+ * Push an empty commit to TRIGGER_BRANCH of the IOS_REPO_PATH clone
+ */
+async function pushTriggerCommit(tags, liveStatus, DRY_RUN, bump) {
+  const branch = CONFIG.triggerBranch;
+  const nextVersion = await calculateNextVersion(liveStatus.version, liveStatus.buildNumber, { bump });
+  const commitMessage = `Trigger v${nextVersion} TestFlight build\n\nAutomatically triggered after v${liveStatus.version} went live.`;
+
+  if (DRY_RUN) {
+    log(`[DRY RUN] Would push empty commit to ${branch}: "${commitMessage.split('\n')[0]}"`);
+    return;
+  }
+
+  await tags.pushEmptyCommit(branch, commitMessage, CONFIG.iosRepoPath);
+  log(`Pushed empty commit to ${branch} - v${nextVersion} build will start shortly`);
+}
+
+/**
+ * Start the next TestFlight build after a release went live: a build run of TRIGGER_WORKFLOW
+ * through the Xcode Cloud API if set, else (or if that fails) an empty commit pushed from
+ * IOS_REPO_PATH. Failures are logged, never thrown.
+ * @param {AppStoreConnectAPI} asc
+ * @param {GitHubTags} tags
+ * @param {object} liveStatus - From getLiveProductionBuild()
+ * @param {boolean} DRY_RUN
+ * @param {object} [options]
+ * @param {string} [options.bump] - Version bump named in the empty commit instead of the configured one
+ */
+export async function startNextBuild(asc, tags, liveStatus, DRY_RUN, { bump } = {}) {
+  if (!CONFIG.triggerWorkflow && !CONFIG.iosRepoPath) {
+    return;
+  }
+  log('Triggering next TestFlight build...');
+
+  if (CONFIG.triggerWorkflow) {
+    try {
+      await startBuildRun(asc, DRY_RUN);
+      return;
+    } catch (e) {
+      if (!CONFIG.iosRepoPath) {
+        log.warn(`Failed to trigger next build: ${e.message}`);
+        return;
+      }
+      log.warn(`Could not start an Xcode Cloud build run (${e.message}) - pushing an empty commit instead`);
+    }
+  }
+
+  try {
+    await pushTriggerCommit(tags, liveStatus, DRY_RUN, bump);
+  } catch (e) {
+    log.warn(`Failed to trigger next build: ${e.message}`);
+  }
+}
@@ -0,0 +1,113 @@
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { CONFIG } from './config.js';
+import { renderTemplate } from './notify.js';
+
+const execFileAsync = promisify(execFile);
+
+// App Store version strings: one to three period-separated integers
+const VERSION_PATTERN = /^\d+(?:\.\d+){0,2}$/;
+
+// Position of each bump in a version's parts
+const BUMP_PARTS = { major: 0, minor: 1, patch: 2 };
+
+export function isValidVersion(version) {
+  return VERSION_PATTERN.test(version || '');
+}
+
+/**
+ * Get the active app's tag name template; {{buildNumber}} is required so every build gets its own tag
+ */
+function tagTemplate() {
+  const template = CONFIG.tagTemplate;
+  if (!/\{\{\s*buildNumber\s*\}\}/.test(template)) {
+    throw new Error(`TAG_TEMPLATE must contain {{buildNumber}}, got "${template}"`);
+  }
+  return template;
+}
+
+/**
+ * Get the tag release sync creates for a live build, e.g. "v1.4-1400" with the default template
+ */
+export function getReleaseTagName(version, buildNumber) {
+  return renderTemplate(tagTemplate(), { version, buildNumber });
+}
+
+/**
+ * Get the message of a live build's annotated tag
+ */
+export function getReleaseTagMessage(version, buildNumber, commitSha) {
+  return renderTemplate(CONFIG.tagMessageTemplate, { version, buildNumber, commitSha });
+}
+
+/**
+ * Read the version and build number back from a release tag name
+ * @returns {{version: string|null, buildNumber: number}|null} - null if the tag doesn't match the template
+ */
+export function parseReleaseTagName(tagName) {
+  const names = [];
+  const source = tagTemplate().split(/(\{\{\s*\w+\s*\}\})/).map((part) => {
+    const name = part.match(/^\{\{\s*(\w+)\s*\}\}$/)?.[1];
+    if (!name) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    names.push(name);
+    if (name === 'version') return '(\\d+(?:\\.\\d+){0,2})';
+    if (name === 'buildNumber') return '(\\d+)';
+    return '(.*?)';
+  }).join('');
+
+  const match = tagName?.match(new RegExp(`^${source}$`));
+  if (!match) return null;
+
+  const values = Object.fromEntries(names.map((name, i) => [name, match[i + 1]]));
+  return { version: values.version ?? null, buildNumber: parseInt(values.buildNumber, 10) };
+}
+
+/**
+ * Calculate the version of the next build with VERSION_BUMP_SCRIPT, else VERSION_BUMP (default minor)
+ * @param {string} currentVersion - e.g. "1.4" or "1.4.0"
+ * @param {string|number} buildNumber
+ * @param {object} [options]
+ * @param {string} [options.bump] - Bump to apply instead of the configured strategy, e.g. 'patch' after a hotfix
+ * @returns {Promise<string>} - e.g. "1.5" or "1.5.0" for a minor bump
+ */
+export async function calculateNextVersion(currentVersion, buildNumber, { bump: forcedBump } = {}) {
+  if (!forcedBump && CONFIG.versionBumpScript) {
+    return runBumpScript(currentVersion, buildNumber);
+  }
+
+  const bump = forcedBump || CONFIG.versionBump || 'minor';
+  if (!(bump in BUMP_PARTS)) {
+    throw new Error(`Invalid VERSION_BUMP "${bump}" (expected one of: ${Object.keys(BUMP_PARTS).join(', ')})`);
+  }
+
+  const index = BUMP_PARTS[bump];
+  const parts = currentVersion.split('.').map(Number);
+  while (parts.length <= index) parts.push(0);
+  parts[index] += 1;
+  return parts.map((part, i) => (i > index ? 0 : part)).join('.');
+}
+
+/**
+ * Ask the custom bump script for the next version: it gets the live version and build number
+ * as arguments and prints the next version
+ */
+async function runBumpScript(currentVersion, buildNumber) {
+  const script = path.resolve(CONFIG.rootDir, CONFIG.versionBumpScript);
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync(script, [currentVersion, String(buildNumber)], {
+      encoding: 'utf8',
+      cwd: CONFIG.iosRepoPath || CONFIG.rootDir,
+      timeout: 30000,
+    }));
+  } catch (e) {
+    throw new Error(`Version bump script ${CONFIG.versionBumpScript} failed: ${(e.stderr || e.message).trim()}`);
+  }
+
+  const nextVersion = stdout.trim();
+  if (!isValidVersion(nextVersion)) {
+    throw new Error(`Version bump script ${CONFIG.versionBumpScript} printed "${nextVersion}", not a version like 1.5 or 1.5.0`);
+  }
+  return nextVersion;
+}
@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import { CONFIG, log, runWithApp, withRunId } from './config.js';
+
+// App Store Connect signs each notification with the webhook secret: "hmacsha256=<hex>"
+export const SIGNATURE_HEADER = 'x-apple-signature';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Event IDs are remembered this long so redelivered notifications are ignored
+const SEEN_EVENT_TTL_MS = 60 * 60 * 1000;
+
+// Version states after which the live version has changed
+const RELEASED_STATES = ['READY_FOR_SALE', 'READY_FOR_DISTRIBUTION'];
+const REJECTED_STATES = ['REJECTED', 'METADATA_REJECTED'];
+
+// Tasks queued together run in this order (deploy may resubmit a rejected version)
+const TASK_ORDER = ['reject-check', 'deploy', 'sync'];
+
+/**
+ * Sign a payload the way App Store Connect does
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} secret - Webhook secret
+ */
+export function signPayload(body, secret) {
+  return `hmacsha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Check a notification's signature header against the app's webhook secret
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} [header] - Value of the x-apple-signature header
+ * @param {string} [secret] - Webhook secret
+ */
+export function verifySignature(body, header, secret) {
+  if (!header || !secret) return false;
+
+  const expected = Buffer.from(signPayload(body, secret));
+  const actual = Buffer.from(header.trim().toLowerCase());
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Get the tasks to run for a notification
+ * @param {object} event - The notification's data ({ type, id, attributes: { newValue, oldValue } })
+ * @returns {string[]} - Task names
+ */
+export function tasksForEvent(event) {
+  const newValue = event.attributes?.newValue;
+
+  switch (event.type) {
+    case 'buildUploadStateUpdated':
+      // Only a processed build can be submitted
+      return newValue === 'COMPLETE' ? ['deploy'] : [];
+    case 'buildBetaDetailExternalBuildStateUpdated':
+      return ['deploy'];
+    case 'appStoreVersionAppVersionStateUpdated':
+      if (RELEASED_STATES.includes(newValue)) return ['sync'];
+      if (REJECTED_STATES.includes(newValue)) return ['reject-check', 'deploy'];
+      return ['deploy'];
+    default:
+      return [];
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Get the webhook path of an app: /webhook in single-app mode, /webhook/<key> otherwise
+ */
+function webhookPath(app) {
+  return app ? `/webhook/${app.key}` : '/webhook';
+}
+
+function appSecret(app) {
+  return app ? runWithApp(app, () => CONFIG.webhookSecret) : CONFIG.webhookSecret;
+}
+
+/**
+ * Listen for App Store Connect webhook notifications and run the matching task for the app.
+ * Bursts of events are coalesced: each app and task runs at most once per debounce window,
+ * and tasks run one at a time. Stops on SIGTERM or SIGINT after the running task finishes.
+ * @param {Array<object|null>} apps - App entries, or [null] in single-app mode
+ * @param {Function} runTask - async (app, task) => boolean; false if the run failed
+ * @returns {Promise<void>} - Resolves once stopped
+ */
+export async function runWebhookReceiver(apps, runTask) {
+  const settings = CONFIG.webhook;
+  const appsByPath = new Map(apps.map(app => [webhookPath(app), app]));
+
+  const missingSecret = apps.filter(app => !appSecret(app));
+  if (missingSecret.length > 0) {
+    throw new Error(missingSecret[0]
+      ? `Missing "webhookSecret" for app(s): ${missingSecret.map(app => app.key).join(', ')}`
+      : 'Missing required environment variable: WEBHOOK_SECRET');
+  }
+
+  const seenEvents = new Map();
+  // App key -> { tasks, timer } for events waiting out the debounce window
+  const debouncing = new Map();
+  const queue = [];
+  let running = null;
+  let stopping = false;
+  let idle = null;
+
+  const label = (app, task) => (app ? `${app.key} ${task}` : task);
+
+  const drain = async () => {
+    if (running) return;
+
+    while (queue.length > 0 && !stopping) {
+      const { app, task } = queue.shift();
+      running = label(app, task);
+      // Each run gets its own run ID in the logs
+      await withRunId(async () => {
+        log(`=== ${running} (webhook) ===`);
+        try {
+          const ok = await runTask(app, task);
+          log(`=== ${running} ${ok ? 'done' : 'done with errors'} ===`);
+        } catch (e) {
+          log.error(`${running} failed: ${e.message}`);
+        }
+      });
+      running = null;
+    }
+
+    idle?.();
+  };
+
+  const isQueued = (app, task) => queue.some(item => item.app === app && item.task === task);
+
+  /**
+   * Add tasks to the app's debounce window, opening one if needed
+   * @returns {string[]} - Tasks that were not already waiting or queued
+   */
+  const schedule = (app, tasks) => {
+    const key = app?.key || '';
+    let pending = debouncing.get(key);
+
+    if (!pending) {
+      pending = { tasks: new Set() };
+      pending.timer = setTimeout(() => {
+        debouncing.delete(key);
+        for (const task of TASK_ORDER) {
+          if (pending.tasks.has(task) && !isQueued(app, task)) {
+            queue.push({ app, task });
+          }
+        }
+        drain();
+      }, settings.debounce * 1000);
+      debouncing.set(key, pending);
+    }
+
+    const added = tasks.filter(task => !pending.tasks.has(task) && !isQueued(app, task));
+    added.forEach(task => pending.tasks.add(task));
+    return added;
+  };
+
+  const isDuplicate = (eventId) => {
+    const now = Date.now();
+    for (const [id, seenAt] of seenEvents) {
+      if (now - seenAt > SEEN_EVENT_TTL_MS) seenEvents.delete(id);
+    }
+    if (!eventId) return false;
+    if (seenEvents.has(eventId)) return true;
+    seenEvents.set(eventId, now);
+    return false;
+  };
+
+  const respond = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body) + '\n');
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+
+    if (req.method === 'GET' && pathname === '/health') {
+      respond(res, stopping ? 503 : 200, { status: stopping ? 'stopping' : 'ok', running, queued: queue.length });
+      return;
+    }
+
+    if (!appsByPath.has(pathname)) {
+      respond(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      respond(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    if (stopping) {
+      respond(res, 503, { error: 'Shutting down' });
+      return;
+    }
+
+    const app = appsByPath.get(pathname);
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (e) {
+      respond(res, 413, { error: e.message });
+      return;
+    }
+
+    if (!verifySignature(body, req.headers[SIGNATURE_HEADER], appSecret(app))) {
+      log.warn('Rejected webhook with a missing or invalid signature', { app: app?.key });
+      respond(res, 401, { error: 'Invalid signature' });
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body.toString('utf8')).data;
+    } catch (e) {
+      respond(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+    if (!event?.type) {
+      respond(res, 400, { error: 'Missing data.type' });
+      return;
+    }
+
+    if (isDuplicate(event.id)) {
+      respond(res, 200, { status: 'duplicate' });
+      return;
+    }
+
+    const tasks = tasksForEvent(event);
+    const change = event.attributes?.newValue ? ` (${event.attributes.oldValue || '?'} -> ${event.attributes.newValue})` : '';
+    log(`Webhook ${event.type}${change}${tasks.length > 0 ? ` - running ${tasks.join(', ')}` : ''}`, { app: app?.key, event: event.type });
+
+    const scheduled = tasks.length > 0 ? schedule(app, tasks) : [];
+    respond(res, 202, { status: 'accepted', tasks, scheduled });
+  });
+
+  // Keep-alive connections must not hold up shutdown
+  server.keepAliveTimeout = 1000;
+
+  await new Promise((resolve, reject) => {
+    server.once('error', (e) => reject(new Error(`Webhook receiver could not listen on ${settings.host}:${settings.port}: ${e.message}`)));
+    server.listen(settings.port, settings.host, resolve);
+  });
+
+  log(`Webhook receiver listening on http://${settings.host}:${settings.port}`);
+  for (const path of appsByPath.keys()) {
+    log(`  POST ${path}`);
+  }
+  log('  GET /health');
+
+  await new Promise((resolve) => {
+    const shutdown = (signal) => {
+      if (stopping) {
+        log(`${signal} received again - exiting without waiting`);
+        process.exit(1);
+      }
+      stopping = true;
+
+      let dropped = queue.length;
+      for (const pending of debouncing.values()) {
+        clearTimeout(pending.timer);
+        dropped += pending.tasks.size;
+      }
+      if (dropped > 0) {
+        log(`Dropping ${dropped} pending task(s) - the next poll or event will pick them up`);
+      }
+      debouncing.clear();
+      queue.length = 0;
+
+      log(`${signal} received - ${running ? `letting ${running} finish before stopping` : 'stopping'}`);
+      server.close();
+      server.closeIdleConnections?.();
+      if (running) {
+        idle = resolve;
+      } else {
+        resolve();
+      }
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  });
+
+  log('Webhook receiver stopped');
+}
+
+/**
+ * Post a recorded notification to a running receiver, signed with the app's webhook secret
+ * @param {object|null} app - App entry, or null in single-app mode
+ * @param {string} file - JSON payload file
+ * @param {string} [url] - Receiver URL (default: the local receiver's path for the app)
+ */
+export async function sendSamplePayload(app, file, url) {
+  const body = fs.readFileSync(file);
+  JSON.parse(body.toString('utf8'));
+
+  const secret = appSecret(app);
+  if (!secret) {
+    throw new Error(app ? `Missing "webhookSecret" for app ${app.key}` : 'Missing required environment variable: WEBHOOK_SECRET');
+  }
+
+  const { host, port } = CONFIG.webhook;
+  const target = url || `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${port}${webhookPath(app)}`;
+
+  const response = await fetch(target, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body, secret) },
+    body,
+    signal: AbortSignal.timeout(10000),
+  });
+
+  log(`POST ${target}: ${response.status} ${(await response.text()).trim()}`);
+  return response.ok;
+}
@@ -0,0 +1,101 @@
+import { CONFIG, log } from './config.js';
+import { isHotfixBuild } from './hotfix.js';
+
+// Build runs shown per workflow unless --runs says otherwise
+const DEFAULT_RECENT_RUNS = 5;
+
+/**
+ * Whether a workflow is one the deploy check submits builds from
+ * @param {{workflowId: string, workflowName: string}} workflow - e.g. from getBuildCommitSHA()
+ * @returns {boolean} - true for every workflow when no filter is configured
+ */
+export function isTargetWorkflow({ workflowId, workflowName }) {
+  const filters = CONFIG.workflows;
+  return filters.length === 0 || filters.includes(workflowId) || filters.includes(workflowName);
+}
+
+function describeRun(run) {
+  const { number, executionProgress, completionStatus, createdDate, sourceCommit } = run.attributes || {};
+  const commitSha = typeof sourceCommit === 'string' ? sourceCommit : sourceCommit?.commitSha;
+  return [
+    `#${number}`,
+    executionProgress === 'COMPLETE' ? completionStatus || 'COMPLETE' : executionProgress,
+    commitSha ? commitSha.substring(0, 7) : null,
+    createdDate ? createdDate.replace('T', ' ').substring(0, 16) : null,
+  ].filter(Boolean).join('  ');
+}
+
+/**
+ * List the Xcode Cloud products and their workflows with IDs and recent build runs,
+ * marking the workflows the deploy check and beta distribution use
+ * @param {AppStoreConnectAPI} asc
+ * @param {string|number} [runs] - Build runs to show per workflow (default 5)
+ */
+export async function runWorkflowsCommand(asc, runs = DEFAULT_RECENT_RUNS) {
+  log('--- Xcode Cloud Workflows ---');
+
+  const recentRuns = Number(runs);
+  if (!Number.isInteger(recentRuns) || recentRuns < 0) {
+    throw new Error(`--runs must be a non-negative whole number, got "${runs}"`);
+  }
+
+  const appProduct = await asc.getAppCIProduct();
+  const products = await asc.getCIProducts();
+  if (products.length === 0) {
+    log('No Xcode Cloud products');
+    return;
+  }
+
+  const betaGroups = CONFIG.betaGroups;
+  const filters = CONFIG.workflows;
+  const matched = new Set();
+
+  for (const product of products) {
+    const isAppProduct = product.id === appProduct?.id;
+    log(`Product: ${product.attributes?.name} (${product.id})${isAppProduct ? ` - ${CONFIG.appName}'s product` : ''}`);
+
+    for (const workflow of await asc.getWorkflows(product.id)) {
+      const { name, isEnabled } = workflow.attributes || {};
+      const tags = [];
+      if (isEnabled === false) tags.push('disabled');
+      // Beta workflows go to testers even if the filter lists them
+      const groups = isAppProduct && (betaGroups[workflow.id] || betaGroups[name]);
+      const targeted = isAppProduct && filters.length > 0 && isTargetWorkflow({ workflowId: workflow.id, workflowName: name });
+      if (targeted) matched.add(workflow.id).add(name);
+      if (groups) {
+        tags.push(`beta: ${groups.join(', ')}`);
+      } else if (isAppProduct && isHotfixBuild({ workflowId: workflow.id, workflowName: name })) {
+        tags.push('hotfix');
+      } else if (targeted) {
+        tags.push('submits');
+      }
+      log(`  ${name}: ${workflow.id}${tags.length > 0 ? ` [${tags.join('; ')}]` : ''}`);
+
+      if (recentRuns === 0) continue;
+      let shown = 0;
+      try {
+        for await (const run of asc.getBuildRuns(workflow.id, { maxPages: 1 })) {
+          log(`    ${describeRun(run)}`);
+          if (++shown >= recentRuns) break;
+        }
+      } catch (e) {
+        log.warn(`Could not list build runs of ${name}: ${e.message}`);
+        continue;
+      }
+      if (shown === 0) {
+        log('    No build runs');
+      }
+    }
+  }
+
+  if (!appProduct) {
+    log.warn(`${CONFIG.appName} has no Xcode Cloud product`);
+  }
+
+  const unmatched = filters.filter(filter => !matched.has(filter));
+  if (unmatched.length > 0) {
+    log.warn(`XCODE_WORKFLOW_ID lists workflows that don't exist: ${unmatched.join(', ')}`);
+  } else if (filters.length === 0) {
+    log('No workflow filter - builds from every workflow are submitted. Set XCODE_WORKFLOW_ID to workflow IDs or names, comma-separated');
+  }
+}
@@ -0,0 +1,84 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG, runWithApp } from '../lib/config.js';
+import { AppStoreConnectAPI } from '../lib/app-store-connect.js';
+
+const app = { key: `test-asc-${process.pid}` };
+
+const run = (number, sha, executionProgress = 'COMPLETE') => ({ attributes: { number, sourceCommit: { commitSha: sha }, executionProgress }, branch: 'main' });
+
+/**
+ * An API whose Xcode Cloud product has one workflow with the given runs, newest first.
+ * fetched lists the run numbers read on each refresh.
+ */
+function fakeAPI(productId = 'product') {
+  const asc = new AppStoreConnectAPI('key', 'issuer', '');
+  asc.runs = [];
+  asc.fetched = [];
+  asc.getAppCIProduct = async () => ({ id: productId });
+  asc.getWorkflows = async () => [{ id: 'workflow', attributes: { name: 'Release' } }];
+  asc.getBuildRuns = async function* () {
+    for (const buildRun of asc.runs) {
+      asc.fetched.push(buildRun.attributes.number);
+      yield buildRun;
+    }
+  };
+  return asc;
+}
+
+describe('refreshBuildIndex', () => {
+  afterEach(() => {
+    fs.rmSync(path.join(CONFIG.rootDir, 'state', `${app.key}-build-index.json`), { force: true });
+  });
+
+  it('fetches runs only down to the last one known to be finished', () => runWithApp(app, async () => {
+    const asc = fakeAPI();
+    asc.runs = [run(12, 'c', 'RUNNING'), run(11, 'b'), run(10, 'a')];
+
+    let index = await asc.refreshBuildIndex();
+    assert.deepEqual(index.workflows.workflow, { finishedThrough: 11 });
+    assert.deepEqual(index.builds[12], { commitSha: 'c', workflowId: 'workflow', workflowName: 'Release', branch: 'main' });
+
+    asc.runs = [run(13, 'd'), run(12, 'c'), run(11, 'b'), run(10, 'a')];
+    asc.fetched = [];
+    index = await asc.refreshBuildIndex();
+    assert.deepEqual(asc.fetched, [13, 12, 11]);
+    assert.deepEqual(index.workflows.workflow, { finishedThrough: 13 });
+    assert.deepEqual(Object.keys(index.builds), ['10', '11', '12', '13']);
+
+    asc.fetched = [];
+    await asc.refreshBuildIndex();
+    assert.deepEqual(asc.fetched, [13]);
+  }));
+
+  it('keeps finishedThrough below a run that is still going', () => runWithApp(app, async () => {
+    const asc = fakeAPI();
+    asc.runs = [run(12, 'c'), run(11, 'b', 'RUNNING'), run(10, 'a')];
+    assert.deepEqual((await asc.refreshBuildIndex()).workflows.workflow, { finishedThrough: 10 });
+
+    asc.runs = [run(12, 'c'), run(11, 'b'), run(10, 'a')];
+    asc.fetched = [];
+    assert.deepEqual((await asc.refreshBuildIndex()).workflows.workflow, { finishedThrough: 12 });
+    assert.deepEqual(asc.fetched, [12, 11, 10]);
+  }));
+
+  it('starts over for another Xcode Cloud product', () => runWithApp(app, async () => {
+    const asc = fakeAPI('old');
+    asc.runs = [run(10, 'a')];
+    await asc.refreshBuildIndex();
+
+    const other = fakeAPI('new');
+    other.runs = [run(5, 'e')];
+    const index = await other.refreshBuildIndex();
+    assert.equal(index.productId, 'new');
+    assert.deepEqual(Object.keys(index.builds), ['5']);
+  }));
+
+  it('returns null without an Xcode Cloud product', () => runWithApp(app, async () => {
+    const asc = fakeAPI();
+    asc.getAppCIProduct = async () => null;
+    assert.equal(await asc.refreshBuildIndex(), null);
+  }));
+});
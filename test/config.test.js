@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG, loadApps, runWithApp } from '../lib/config.js';
+
+describe('loadApps', () => {
+  let dir;
+  let configPath;
+
+  const writeConfig = (config) => {
+    fs.writeFileSync(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge4appstore-apps-'));
+    configPath = path.join(dir, 'apps.json');
+    process.env.APPS_CONFIG = configPath;
+  });
+
+  afterEach(() => {
+    delete process.env.APPS_CONFIG;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads a list of apps, keyed by bundle ID when no key is given', () => {
+    writeConfig([{ key: 'main', appId: '1' }, { bundleId: 'com.example.other', appId: '2' }]);
+    assert.deepEqual(loadApps(), [
+      { key: 'main', appId: '1' },
+      { bundleId: 'com.example.other', appId: '2', key: 'com.example.other' },
+    ]);
+  });
+
+  it('applies defaults under each app', () => {
+    writeConfig({ defaults: { versionBump: 'patch', repoOwner: 'owner' }, apps: [{ key: 'a' }, { key: 'b', versionBump: 'major' }] });
+    const apps = loadApps();
+    assert.deepEqual(apps, [
+      { versionBump: 'patch', repoOwner: 'owner', key: 'a' },
+      { versionBump: 'major', repoOwner: 'owner', key: 'b' },
+    ]);
+    assert.equal(runWithApp(apps[1], () => CONFIG.versionBump), 'major');
+  });
+
+  it('rejects invalid files, empty lists and bad or duplicate keys', () => {
+    writeConfig('{ not json');
+    assert.throws(loadApps, /Invalid apps config file/);
+
+    writeConfig({ apps: [] });
+    assert.throws(loadApps, /must list at least one app/);
+
+    writeConfig([{ appId: '1' }]);
+    assert.throws(loadApps, /App #1 .* needs a "key"/);
+
+    writeConfig([{ key: 'has space' }]);
+    assert.throws(loadApps, /App #1 .* needs a "key"/);
+
+    writeConfig([{ key: 'a' }, { bundleId: 'a' }]);
+    assert.throws(loadApps, /Duplicate app key "a"/);
+  });
+
+  it('fails for a missing APPS_CONFIG file', () => {
+    process.env.APPS_CONFIG = path.join(dir, 'missing.json');
+    assert.throws(loadApps, /Apps config file not found/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWithApp } from '../lib/config.js';
+import { formatReleaseBody, groupByLabel } from '../lib/github-release.js';
+
+const prs = [
+  { number: 1, title: 'Add dark mode', labels: ['feature', 'ui'] },
+  { number: 2, title: 'Fix crash on launch', labels: ['Bug'] },
+  { number: 3, title: 'Bump dependencies', labels: [] },
+  { number: 4, title: 'Tweak colors', labels: ['ui'] },
+];
+
+const summarize = groups => groups.map(({ label, prs }) => [label, prs.map(({ number }) => number)]);
+
+describe('groupByLabel', () => {
+  it('groups by every label in order of first use, listing each PR once', () => {
+    assert.deepEqual(summarize(runWithApp({ key: 'test' }, () => groupByLabel(prs))), [
+      ['feature', [1]],
+      ['ui', [4]],
+      ['Bug', [2]],
+      ['Other changes', [3]],
+    ]);
+  });
+
+  it('only groups by CHANGELOG_LABELS, in their order and ignoring case', () => {
+    const app = { key: 'test', changelogLabels: ['bug', 'ui'] };
+    assert.deepEqual(summarize(runWithApp(app, () => groupByLabel(prs))), [
+      ['bug', [2]],
+      ['ui', [1, 4]],
+      ['Other changes', [3]],
+    ]);
+  });
+});
+
+describe('formatReleaseBody', () => {
+  const previousTag = { name: 'v1.3.0' };
+  const body = (...args) => runWithApp({ key: 'test', changelogLabels: ['bug'] }, () => formatReleaseBody(...args));
+
+  it('lists the grouped PRs under the "What\'s New" text', () => {
+    assert.equal(body('Faster and fewer crashes.', previousTag, prs.slice(1, 3)), [
+      '## What\'s New',
+      '',
+      'Faster and fewer crashes.',
+      '',
+      '## Changes since v1.3.0',
+      '',
+      '### bug',
+      '',
+      '- Fix crash on launch (#2)',
+      '',
+      '### Other changes',
+      '',
+      '- Bump dependencies (#3)',
+      '',
+    ].join('\n'));
+  });
+
+  it('explains a missing changelog', () => {
+    assert.match(body(null, null, null), /_No "What's New" text on the App Store_\n\n## Changes\n\n_First tagged release_\n$/);
+    assert.match(body('Notes', previousTag, null), /## Changes since v1\.3\.0\n\n_Could not compare with v1\.3\.0_\n$/);
+    assert.match(body('Notes', previousTag, []), /## Changes since v1\.3\.0\n\n_No merged PRs_\n$/);
+  });
+});
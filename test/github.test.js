@@ -0,0 +1,105 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubAPI } from '../lib/github.js';
+
+const realFetch = globalThis.fetch;
+let routes;
+let requested;
+
+/**
+ * Answer fetches from routes: path below the repo -> body, or { body, status, link }
+ */
+function stubFetch() {
+  requested = [];
+  globalThis.fetch = async (url) => {
+    const path = new URL(url).pathname.replace('/repos/owner/app/', '');
+    const query = new URL(url).searchParams.get('page');
+    const key = query ? `${path}?page=${query}` : path;
+    requested.push(key);
+
+    const route = routes[key];
+    if (route === undefined) {
+      return new Response(JSON.stringify({ message: 'Not Found' }), { status: 404 });
+    }
+    const { body, status = 200, link } = route?.body !== undefined ? route : { body: route };
+    return new Response(JSON.stringify(body), { status, headers: link ? { Link: link } : {} });
+  };
+}
+
+const pr = (number, fields = {}) => ({ number, title: `PR ${number}`, body: '', labels: [], merged_at: `2026-10-${10 + number}T00:00:00Z`, ...fields });
+const commit = (sha, ...parents) => ({ sha, parents: parents.map(parent => ({ sha: parent })) });
+
+describe('GitHubAPI', () => {
+  beforeEach(stubFetch);
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  const github = new GitHubAPI('owner', 'app', 'token');
+
+  describe('paginate', () => {
+    it('follows the Link header to the next page', async () => {
+      routes = {
+        'pulls': { body: [1, 2], link: '<https://api.github.com/repos/owner/app/pulls?per_page=100&page=2>; rel="next", <https://api.github.com/repos/owner/app/pulls?per_page=100&page=2>; rel="last"' },
+        'pulls?page=2': { body: [3], link: '<https://api.github.com/repos/owner/app/pulls?per_page=100&page=1>; rel="prev"' },
+      };
+
+      assert.deepEqual(await github.paginate('repos/owner/app/pulls'), [1, 2, 3]);
+      assert.deepEqual(requested, ['pulls', 'pulls?page=2']);
+    });
+  });
+
+  describe('findPRFromCommit', () => {
+    it('prefers the PR the commit merged', async () => {
+      routes = { 'commits/abc/pulls': [pr(1), pr(2, { merge_commit_sha: 'abc' }), pr(3, { merged_at: null })] };
+      assert.equal(await github.findPRFromCommit('abc'), '2');
+    });
+
+    it('takes another merged PR only if it is the only one', async () => {
+      routes = { 'commits/abc/pulls': [pr(1), pr(3, { merged_at: null })] };
+      assert.equal(await github.findPRFromCommit('abc'), '1');
+
+      routes = { 'commits/abc/pulls': [pr(1), pr(2)], 'commits/abc': { commit: { message: 'Carried along' } } };
+      assert.equal(await github.findPRFromCommit('abc'), null);
+    });
+
+    it('falls back to the PR number in the commit message', async () => {
+      routes = { 'commits/abc/pulls': [], 'commits/abc': { commit: { message: 'Fix crash (#12)' } } };
+      assert.equal(await github.findPRFromCommit('abc'), '12');
+
+      routes = { 'commits/abc/pulls': [], 'commits/abc': { commit: { message: 'Merge pull request #13 from owner/branch' } } };
+      assert.equal(await github.findPRFromCommit('abc'), '13');
+    });
+  });
+
+  describe('getMergedPRsBetween', () => {
+    it('looks up only the first-parent commits, oldest merge first', async () => {
+      // base <- squash (PR 2) <- merge (PR 1, with its branch commits b1 and b2)
+      routes = {
+        'compare/base...merge': { commits: [commit('b1', 'base'), commit('squash', 'base'), commit('b2', 'b1'), commit('merge', 'squash', 'b2')] },
+        'commits/merge/pulls': [pr(1, { labels: [{ name: 'feature' }] })],
+        'commits/squash/pulls': [pr(2)],
+      };
+
+      const prs = await github.getMergedPRsBetween('base', 'merge');
+      assert.deepEqual(prs.map(({ number, labels }) => ({ number, labels })), [{ number: 1, labels: ['feature'] }, { number: 2, labels: [] }]);
+      assert.deepEqual(requested, ['compare/base...merge', 'commits/merge/pulls', 'commits/squash/pulls']);
+    });
+
+    it('stops after maxCommits commits', async () => {
+      routes = {
+        'compare/base...c': { commits: [commit('a', 'base'), commit('b', 'a'), commit('c', 'b')] },
+        'commits/c/pulls': [pr(3)],
+        'commits/b/pulls': [pr(2)],
+      };
+
+      assert.deepEqual((await github.getMergedPRsBetween('base', 'c', 2)).map(({ number }) => number), [2, 3]);
+      assert.equal(requested.includes('commits/a/pulls'), false);
+    });
+
+    it('returns null when the range can\'t be compared', async () => {
+      routes = {};
+      assert.equal(await github.getMergedPRsBetween('gone', 'head'), null);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../lib/config.js';
+import { acquireLock, releaseLock } from '../lib/lock.js';
+
+const name = `test-lock-${process.pid}`;
+const lockFile = path.join(CONFIG.rootDir, `.merge4appstore-${name}.lock`);
+
+/**
+ * Write a lock file as another process would, last touched hoursAgo
+ */
+function writeLock(content, hoursAgo = 0) {
+  fs.writeFileSync(lockFile, content);
+  const mtime = new Date(Date.now() - hoursAgo * 3600000);
+  fs.utimesSync(lockFile, mtime, mtime);
+}
+
+describe('acquireLock', () => {
+  afterEach(() => {
+    releaseLock(name);
+    fs.rmSync(lockFile, { force: true });
+  });
+
+  it('holds the lock until it is released', () => {
+    assert.equal(acquireLock(name), true);
+    assert.equal(fs.readFileSync(lockFile, 'utf8'), String(process.pid));
+    assert.equal(acquireLock(name), false);
+
+    releaseLock(name);
+    assert.equal(fs.existsSync(lockFile), false);
+    assert.equal(acquireLock(name), true);
+  });
+
+  it('never takes over the lock of a running process, however old', () => {
+    writeLock(String(process.ppid), 24);
+    assert.equal(acquireLock(name), false);
+    assert.equal(fs.readFileSync(lockFile, 'utf8'), String(process.ppid));
+  });
+
+  it('takes over the lock of a process that is gone', () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeLock(String(pid));
+    assert.equal(acquireLock(name), true);
+    assert.equal(fs.readFileSync(lockFile, 'utf8'), String(process.pid));
+  });
+
+  it('takes over a lock without a process ID only once it is no longer refreshed', () => {
+    writeLock('', 0.1);
+    assert.equal(acquireLock(name), false);
+
+    writeLock('', 1);
+    assert.equal(acquireLock(name), true);
+  });
+});
@@ -0,0 +1,67 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG, runWithApp } from '../lib/config.js';
+import { recordEvent } from '../lib/history.js';
+import { renderMetrics } from '../lib/metrics.js';
+import { writeState } from '../lib/state.js';
+
+const app = { key: `test-metrics-${process.pid}` };
+
+const events = [
+  { at: '2026-10-19T10:00:00.000Z', type: 'submitted', buildNumber: '1400', mergedAt: '2026-10-19T08:00:00.000Z', uploadedAt: '2026-10-19T09:00:00.000Z' },
+  { at: '2026-10-19T11:00:00.000Z', type: 'review-cancelled', buildNumber: '1400', replacedBy: '1401' },
+  { at: '2026-10-19T11:00:00.000Z', type: 'submitted', buildNumber: '1401', mergedAt: '2026-10-19T10:30:00.000Z' },
+  { at: '2026-10-20T11:00:00.000Z', type: 'rejected', buildNumber: '1401', state: 'METADATA_REJECTED' },
+  { at: '2026-10-20T12:00:00.000Z', type: 'submitted', buildNumber: '1401' },
+  { at: '2026-10-20T13:00:00.000Z', type: 'approved', buildNumber: '1401' },
+  { at: '2026-10-20T14:00:00.000Z', type: 'live', buildNumber: '1401' },
+];
+
+/**
+ * Metric lines of the rendered output, without HELP and TYPE comments
+ */
+function samples() {
+  return renderMetrics([app]).split('\n').filter(line => line && !line.startsWith('#'));
+}
+
+describe('renderMetrics', () => {
+  afterEach(() => {
+    for (const name of ['history', 'metrics']) {
+      fs.rmSync(path.join(CONFIG.rootDir, 'state', `${app.key}-${name}.json`), { force: true });
+    }
+  });
+
+  it('counts events and observes durations per app', () => {
+    runWithApp(app, () => writeState('history', { events }));
+    const lines = samples();
+    const label = `app="${app.key}"`;
+
+    assert.ok(lines.includes(`merge4appstore_submissions_total{${label}} 3`));
+    assert.ok(lines.includes(`merge4appstore_review_cancellations_total{${label},reason="replaced"} 1`));
+    assert.ok(lines.includes(`merge4appstore_review_cancellations_total{${label},reason="manual"} 0`));
+    assert.ok(lines.includes(`merge4appstore_rejections_total{${label},state="METADATA_REJECTED"} 1`));
+    assert.ok(lines.includes(`merge4appstore_approvals_total{${label}} 1`));
+    assert.ok(lines.includes(`merge4appstore_releases_total{${label}} 1`));
+
+    // Only first submissions count towards merge to submit: 2h for 1400 and 30m for 1401
+    assert.ok(lines.includes(`merge4appstore_merge_to_submit_seconds_sum{${label}} 9000`));
+    assert.ok(lines.includes(`merge4appstore_merge_to_submit_seconds_bucket{${label},le="1800"} 1`));
+    assert.ok(lines.includes(`merge4appstore_merge_to_testflight_seconds_count{${label}} 1`));
+    // The resubmission of 1401 is reviewed from its own submission time
+    assert.ok(lines.includes(`merge4appstore_review_duration_seconds_sum{${label},outcome="rejected"} 86400`));
+    assert.ok(lines.includes(`merge4appstore_review_duration_seconds_sum{${label},outcome="approved"} 3600`));
+    // Lead time runs from the merge of the first submission
+    assert.ok(lines.includes(`merge4appstore_merge_to_live_seconds_sum{${label}} 99000`));
+  });
+
+  it('keeps counting events trimmed from the history', () => {
+    const padding = Array.from({ length: 4999 }, () => ({ at: '2026-10-20T15:00:00.000Z', type: 'pr-comment' }));
+    runWithApp(app, () => writeState('history', { events: [...events, ...padding] }));
+    const before = samples();
+
+    runWithApp(app, () => recordEvent('pr-comment'));
+    assert.deepEqual(samples(), before);
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWithApp } from '../lib/config.js';
+import { checkSubmissionPolicy } from '../lib/policy.js';
+
+// 2026-10-19 is a Monday
+const MONDAY = '2026-10-19';
+const SUNDAY = '2026-10-18';
+const WEDNESDAY = '2026-10-21';
+
+const rules = violations => violations.map(({ rule }) => rule);
+
+describe('checkSubmissionPolicy days', () => {
+  it('allows any day without submitDays', () => {
+    assert.deepEqual(runWithApp({ key: 'test' }, () => checkSubmissionPolicy({}, null, new Date(`${SUNDAY}T12:00:00Z`))), []);
+  });
+
+  it('allows only the days in a range', () => {
+    const app = { key: 'test', submitDays: 'mon-fri' };
+    assert.deepEqual(rules(runWithApp(app, () => checkSubmissionPolicy({}, null, new Date(`${MONDAY}T12:00:00Z`)))), []);
+    assert.deepEqual(rules(runWithApp(app, () => checkSubmissionPolicy({}, null, new Date(`${WEDNESDAY}T12:00:00Z`)))), []);
+    assert.deepEqual(rules(runWithApp(app, () => checkSubmissionPolicy({}, null, new Date(`${SUNDAY}T12:00:00Z`)))), ['window']);
+  });
+
+  it('accepts ranges that wrap around the week and single days', () => {
+    const app = { key: 'test', submitDays: ['fri-mon', 'wed'] };
+    for (const day of [SUNDAY, MONDAY, WEDNESDAY]) {
+      assert.deepEqual(rules(runWithApp(app, () => checkSubmissionPolicy({}, null, new Date(`${day}T12:00:00Z`)))), [], day);
+    }
+    assert.deepEqual(rules(runWithApp(app, () => checkSubmissionPolicy({}, null, new Date('2026-10-20T12:00:00Z')))), ['window']);
+  });
+
+  it('explains a violation with the window and the local time', () => {
+    const app = { key: 'test', submitDays: 'mon-fri', submitHours: '9-17' };
+    const [violation] = runWithApp(app, () => checkSubmissionPolicy({}, null, new Date(`${SUNDAY}T12:00:00Z`)));
+    assert.deepEqual(violation, { rule: 'window', reason: 'Outside the submission window (mon-fri 09:00-17:00 UTC): it is Sun 2026-10-18 12:00' });
+  });
+
+  it('rejects unknown days', () => {
+    assert.throws(
+      () => runWithApp({ key: 'test', submitDays: 'mon-funday' }, () => checkSubmissionPolicy({}, null, new Date())),
+      /Invalid submission day "mon-funday"/
+    );
+  });
+});
+
+describe('checkSubmissionPolicy hours', () => {
+  const check = (submitHours, time, extra = {}) => rules(runWithApp(
+    { key: 'test', submitHours, ...extra },
+    () => checkSubmissionPolicy({}, null, new Date(time))
+  ));
+
+  it('includes the start and excludes the end', () => {
+    assert.deepEqual(check('9-17', `${MONDAY}T08:59:00Z`), ['window']);
+    assert.deepEqual(check('9-17', `${MONDAY}T09:00:00Z`), []);
+    assert.deepEqual(check('9-17', `${MONDAY}T16:59:00Z`), []);
+    assert.deepEqual(check('9-17', `${MONDAY}T17:00:00Z`), ['window']);
+  });
+
+  it('accepts minutes', () => {
+    assert.deepEqual(check('09:30-17:15', `${MONDAY}T09:29:00Z`), ['window']);
+    assert.deepEqual(check('09:30-17:15', `${MONDAY}T09:30:00Z`), []);
+    assert.deepEqual(check('09:30-17:15', `${MONDAY}T17:15:00Z`), ['window']);
+  });
+
+  it('spans midnight when the end is before the start', () => {
+    assert.deepEqual(check('22-6', `${MONDAY}T23:00:00Z`), []);
+    assert.deepEqual(check('22-6', `${MONDAY}T05:59:00Z`), []);
+    assert.deepEqual(check('22-6', `${MONDAY}T06:00:00Z`), ['window']);
+    assert.deepEqual(check('22-6', `${MONDAY}T12:00:00Z`), ['window']);
+  });
+
+  it('requires both the day and the hour to match', () => {
+    const weekdays = { submitDays: 'mon-fri' };
+    assert.deepEqual(check('9-17', `${MONDAY}T10:00:00Z`, weekdays), []);
+    assert.deepEqual(check('9-17', `${MONDAY}T18:00:00Z`, weekdays), ['window']);
+    assert.deepEqual(check('9-17', `${SUNDAY}T10:00:00Z`, weekdays), ['window']);
+  });
+
+  it('checks days and hours in submitTimezone', () => {
+    const newYork = { submitDays: 'mon-fri', submitTimezone: 'America/New_York' };
+    // 14:00 UTC is 10:00 in New York, 22:00 UTC is 18:00
+    assert.deepEqual(check('9-17', `${MONDAY}T14:00:00Z`, newYork), []);
+    assert.deepEqual(check('9-17', `${MONDAY}T22:00:00Z`, newYork), ['window']);
+    // Monday 03:00 UTC is still Sunday in New York
+    assert.deepEqual(check('', `${MONDAY}T03:00:00Z`, newYork), ['window']);
+  });
+
+  it('rejects invalid hours and timezones', () => {
+    assert.throws(() => check('9-9', `${MONDAY}T12:00:00Z`), /Invalid submission hours "9-9"/);
+    assert.throws(() => check('morning', `${MONDAY}T12:00:00Z`), /Invalid submission hours "morning"/);
+    assert.throws(() => check('9-25', `${MONDAY}T12:00:00Z`), /Invalid submission hours "9-25"/);
+    assert.throws(() => check('9-17', `${MONDAY}T12:00:00Z`, { submitTimezone: 'Mars/Olympus' }), /Invalid submission timezone "Mars\/Olympus"/);
+  });
+});
+
+describe('checkSubmissionPolicy blackout dates', () => {
+  const app = { key: 'test', blackoutDates: ['2026-12-24', '2026-12-28..2027-01-04'] };
+
+  it('blocks single days and inclusive ranges', () => {
+    for (const time of ['2026-12-24T12:00:00Z', '2026-12-28T00:00:00Z', '2027-01-01T12:00:00Z', '2027-01-04T23:59:00Z']) {
+      assert.deepEqual(rules(runWithApp(app, () => checkSubmissionPolicy({}, null, new Date(time)))), ['blackout'], time);
+    }
+  });
+
+  it('allows the days around them', () => {
+    for (const time of ['2026-12-23T23:59:00Z', '2026-12-25T00:00:00Z', '2027-01-05T00:00:00Z']) {
+      assert.deepEqual(rules(runWithApp(app, () => checkSubmissionPolicy({}, null, new Date(time)))), [], time);
+    }
+  });
+
+  it('names the blackout in the reason', () => {
+    const [violation] = runWithApp(app, () => checkSubmissionPolicy({}, null, new Date('2027-01-02T12:00:00Z')));
+    assert.equal(violation.reason, 'Release freeze in effect (2026-12-28..2027-01-04)');
+  });
+
+  it('uses the date in submitTimezone', () => {
+    // 2026-12-24 03:00 UTC is still 2026-12-23 in New York
+    const newYork = { ...app, submitTimezone: 'America/New_York' };
+    assert.deepEqual(rules(runWithApp(newYork, () => checkSubmissionPolicy({}, null, new Date('2026-12-24T03:00:00Z')))), []);
+  });
+
+  it('rejects invalid dates and reversed ranges', () => {
+    for (const blackoutDates of ['24.12.2026', '2027-01-04..2026-12-28']) {
+      assert.throws(
+        () => runWithApp({ key: 'test', blackoutDates }, () => checkSubmissionPolicy({}, null, new Date())),
+        /Invalid blackout date/
+      );
+    }
+  });
+});
+
+describe('checkSubmissionPolicy soak time', () => {
+  const app = { key: 'test', minSoakHours: 24 };
+  const build = { uploadedDate: '2026-10-18T12:00:00Z' };
+
+  it('blocks builds uploaded less than minSoakHours ago', () => {
+    const violations = runWithApp(app, () => checkSubmissionPolicy(build, null, new Date('2026-10-19T06:00:00Z')));
+    assert.deepEqual(violations, [{
+      rule: 'soak-time',
+      reason: 'Build has been in TestFlight for 18h, the minimum is 24h (until 2026-10-19 12:00 UTC)',
+    }]);
+  });
+
+  it('allows builds once they have soaked long enough', () => {
+    assert.deepEqual(runWithApp(app, () => checkSubmissionPolicy(build, null, new Date('2026-10-19T12:00:00Z'))), []);
+  });
+
+  it('skips the check when the upload date is unknown', () => {
+    assert.deepEqual(runWithApp(app, () => checkSubmissionPolicy({}, null, new Date('2026-10-19T06:00:00Z'))), []);
+  });
+
+  it('rejects a negative minimum', () => {
+    assert.throws(
+      () => runWithApp({ key: 'test', minSoakHours: -1 }, () => checkSubmissionPolicy(build, null, new Date())),
+      /SUBMIT_MIN_SOAK_HOURS must be a non-negative number/
+    );
+  });
+});
+
+describe('checkSubmissionPolicy blocking labels', () => {
+  const app = { key: 'test', blockingLabels: ['do-not-release', 'needs-qa'] };
+  const now = new Date(`${MONDAY}T12:00:00Z`);
+
+  it('blocks PRs with a blocking label, whatever its case', () => {
+    const pr = { number: '42', labels: ['feature', 'Needs-QA', 'do-not-release'] };
+    assert.deepEqual(runWithApp(app, () => checkSubmissionPolicy({}, pr, now)), [
+      { rule: 'label', reason: 'PR #42 is labeled "Needs-QA", "do-not-release"' },
+    ]);
+  });
+
+  it('allows PRs without one, and builds without a PR', () => {
+    assert.deepEqual(runWithApp(app, () => checkSubmissionPolicy({}, { number: '42', labels: ['feature'] }, now)), []);
+    assert.deepEqual(runWithApp(app, () => checkSubmissionPolicy({}, null, now)), []);
+  });
+});
+
+describe('checkSubmissionPolicy beta state', () => {
+  const app = { key: 'test', requiredBetaState: ['BETA_APPROVED', 'IN_BETA_TESTING'] };
+  const now = new Date(`${MONDAY}T12:00:00Z`);
+
+  it('allows builds in one of the required beta states', () => {
+    assert.deepEqual(runWithApp(app, () => checkSubmissionPolicy({ betaState: 'IN_BETA_TESTING' }, null, now)), []);
+  });
+
+  it('blocks builds in any other beta state', () => {
+    assert.deepEqual(runWithApp(app, () => checkSubmissionPolicy({ betaState: 'WAITING_FOR_BETA_REVIEW' }, null, now)), [
+      { rule: 'beta-state', reason: 'Beta state is WAITING_FOR_BETA_REVIEW, required BETA_APPROVED or IN_BETA_TESTING' },
+    ]);
+  });
+
+  it('does not check the beta state unless required', () => {
+    assert.deepEqual(runWithApp({ key: 'test' }, () => checkSubmissionPolicy({ betaState: 'EXPIRED' }, null, now)), []);
+  });
+});
+
+describe('checkSubmissionPolicy', () => {
+  it('reports every policy that blocks the build', () => {
+    const app = { key: 'test', submitDays: 'mon-fri', blackoutDates: SUNDAY, minSoakHours: 48, blockingLabels: 'hold', requiredBetaState: 'BETA_APPROVED' };
+    const build = { uploadedDate: `${SUNDAY}T00:00:00Z`, betaState: 'IN_BETA_TESTING' };
+    const pr = { number: '7', labels: ['hold'] };
+    assert.deepEqual(
+      rules(runWithApp(app, () => checkSubmissionPolicy(build, pr, new Date(`${SUNDAY}T12:00:00Z`)))),
+      ['soak-time', 'window', 'blackout', 'label', 'beta-state']
+    );
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { capReleaseNotes, formatReleaseNotes, MAX_RELEASE_NOTES_LENGTH } from '../lib/release-notes.js';
+
+describe('formatReleaseNotes', () => {
+  it('returns a single entry without a bullet', () => {
+    assert.equal(formatReleaseNotes(['- Faster sync']), 'Faster sync');
+  });
+
+  it('lists the entries of every section in order', () => {
+    assert.equal(
+      formatReleaseNotes(['- Dark mode\n* Widgets', '1. Faster sync\n2) Offline mode']),
+      '- Dark mode\n- Widgets\n- Faster sync\n- Offline mode'
+    );
+  });
+
+  it('drops duplicates regardless of case, spacing and trailing punctuation', () => {
+    assert.equal(
+      formatReleaseNotes(['- Fixed a crash on launch.', '- fixed a  crash on launch!\n- Dark mode']),
+      '- Fixed a crash on launch.\n- Dark mode'
+    );
+  });
+
+  it('skips blank lines', () => {
+    assert.equal(formatReleaseNotes(['\n- Dark mode\n\n', '   ']), 'Dark mode');
+  });
+
+  it('caps the merged list at the App Store limit', () => {
+    const sections = Array.from({ length: 300 }, (_, i) => `- Improvement number ${i} to the app`);
+    const notes = formatReleaseNotes(sections);
+    assert.ok(notes.length <= MAX_RELEASE_NOTES_LENGTH);
+    assert.ok(notes.endsWith('to the app'));
+  });
+});
+
+describe('capReleaseNotes', () => {
+  it('keeps notes within the limit unchanged', () => {
+    const notes = 'x'.repeat(MAX_RELEASE_NOTES_LENGTH);
+    assert.equal(capReleaseNotes(notes), notes);
+  });
+
+  it('cuts at the last line boundary before the limit', () => {
+    const first = 'a'.repeat(3000);
+    const notes = `${first}\n${'b'.repeat(2000)}`;
+    assert.equal(capReleaseNotes(notes), first);
+  });
+
+  it('cuts a single long line with an ellipsis', () => {
+    const notes = capReleaseNotes('a'.repeat(MAX_RELEASE_NOTES_LENGTH + 100));
+    assert.equal(notes.length, MAX_RELEASE_NOTES_LENGTH);
+    assert.ok(notes.endsWith('…'));
+  });
+});
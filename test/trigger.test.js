@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, runWithApp } from '../lib/config.js';
+import { startNextBuild, validateTriggerSettings } from '../lib/trigger.js';
+
+/**
+ * GitHubTags stand-in that records the empty commits it is asked to push
+ */
+function fakeTags() {
+  const pushed = [];
+  return { pushed, pushEmptyCommit: async (branch, message, repoPath) => pushed.push({ branch, message, repoPath }) };
+}
+
+describe('startNextBuild', () => {
+  const app = { key: 'test-trigger', iosRepoPath: '/tmp/ios', triggerBranch: 'develop' };
+  const liveStatus = { version: '1.4.0', buildNumber: '1400' };
+
+  it('names the configured bump in the empty commit', async () => {
+    const tags = fakeTags();
+    await runWithApp(app, () => startNextBuild(null, tags, liveStatus, false));
+    assert.equal(tags.pushed.length, 1);
+    assert.equal(tags.pushed[0].branch, 'develop');
+    assert.equal(tags.pushed[0].repoPath, '/tmp/ios');
+    assert.match(tags.pushed[0].message, /^Trigger v1\.5\.0 TestFlight build\n/);
+  });
+
+  it('names a patch bump after a live hotfix', async () => {
+    const tags = fakeTags();
+    await runWithApp({ ...app, versionBump: 'major' }, () => startNextBuild(null, tags, liveStatus, false, { bump: 'patch' }));
+    assert.match(tags.pushed[0].message, /^Trigger v1\.4\.1 TestFlight build\n/);
+  });
+
+  it('does nothing without TRIGGER_WORKFLOW or IOS_REPO_PATH', async () => {
+    const tags = fakeTags();
+    await runWithApp({ key: 'test-trigger' }, () => startNextBuild(null, tags, liveStatus, false, { bump: 'patch' }));
+    assert.deepEqual(tags.pushed, []);
+  });
+});
+
+describe('validateTriggerSettings', () => {
+  it('accepts any version settings without TRIGGER_WORKFLOW', () => {
+    const app = { key: 'test-trigger', versionBump: 'major', versionBumpScript: 'bump.sh', hotfixBranches: 'release/*' };
+    assert.equal(runWithApp(app, () => validateTriggerSettings()), null);
+  });
+
+  it('accepts TRIGGER_WORKFLOW on its own', () => {
+    assert.equal(runWithApp({ key: 'test-trigger', triggerWorkflow: 'Release' }, () => validateTriggerSettings()), null);
+  });
+
+  it('rejects TRIGGER_WORKFLOW with settings that pick the next version', () => {
+    const app = { key: 'test-trigger', triggerWorkflow: 'Release', versionBump: 'minor', versionBumpScript: 'bump.sh', hotfixWorkflows: 'Hotfix' };
+    const error = runWithApp(app, () => validateTriggerSettings());
+    assert.match(error, /can't be used with VERSION_BUMP, VERSION_BUMP_SCRIPT, hotfixes \(patch bump\)/);
+  });
+});
+
+describe('CONFIG.triggerStartTimeout', () => {
+  it('is read per app, with the default of 300 seconds', () => {
+    assert.equal(runWithApp({ key: 'test-trigger', triggerStartTimeout: 0 }, () => CONFIG.triggerStartTimeout), 0);
+    assert.equal(runWithApp({ key: 'test-trigger', triggerStartTimeout: '90' }, () => CONFIG.triggerStartTimeout), 90);
+    assert.equal(runWithApp({ key: 'test-trigger' }, () => CONFIG.triggerStartTimeout), 300);
+  });
+
+  it('rejects negative values', () => {
+    assert.throws(() => runWithApp({ key: 'test-trigger', triggerStartTimeout: -1 }, () => CONFIG.triggerStartTimeout), /TRIGGER_START_TIMEOUT must be a non-negative number/);
+  });
+});
@@ -0,0 +1,97 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runWithApp } from '../lib/config.js';
+import { calculateNextVersion, getReleaseTagName, parseReleaseTagName } from '../lib/versioning.js';
+
+describe('parseReleaseTagName', () => {
+  it('reads the default template', () => {
+    assert.deepEqual(runWithApp({ key: 'test' }, () => parseReleaseTagName('v1.4-1400')), { version: '1.4', buildNumber: 1400 });
+    assert.deepEqual(runWithApp({ key: 'test' }, () => parseReleaseTagName('v2.1.3-52')), { version: '2.1.3', buildNumber: 52 });
+  });
+
+  it('reads back what getReleaseTagName creates', () => {
+    const app = { key: 'test', tagTemplate: 'release/{{version}}+{{buildNumber}}' };
+    const tagName = runWithApp(app, () => getReleaseTagName('1.4.1', 1450));
+    assert.equal(tagName, 'release/1.4.1+1450');
+    assert.deepEqual(runWithApp(app, () => parseReleaseTagName(tagName)), { version: '1.4.1', buildNumber: 1450 });
+  });
+
+  it('returns a null version when the template has none', () => {
+    assert.deepEqual(runWithApp({ key: 'test', tagTemplate: 'build-{{buildNumber}}' }, () => parseReleaseTagName('build-7')), { version: null, buildNumber: 7 });
+  });
+
+  it('returns null for tags that do not match the template', () => {
+    runWithApp({ key: 'test' }, () => {
+      assert.equal(parseReleaseTagName('v1.4'), null);
+      assert.equal(parseReleaseTagName('v1.4-beta'), null);
+      assert.equal(parseReleaseTagName('v1.2.3.4-10'), null);
+      assert.equal(parseReleaseTagName('xv1.4-1400'), null);
+      assert.equal(parseReleaseTagName(undefined), null);
+    });
+  });
+
+  it('treats regex characters in the template literally', () => {
+    const app = { key: 'test', tagTemplate: 'v{{version}}.({{buildNumber}})' };
+    assert.deepEqual(runWithApp(app, () => parseReleaseTagName('v1.4.(1400)')), { version: '1.4', buildNumber: 1400 });
+    assert.equal(runWithApp(app, () => parseReleaseTagName('v1.4x(1400)')), null);
+  });
+
+  it('requires {{buildNumber}} in the template', () => {
+    assert.throws(() => runWithApp({ key: 'test', tagTemplate: 'v{{version}}' }, () => parseReleaseTagName('v1.4')), /TAG_TEMPLATE must contain \{\{buildNumber\}\}/);
+  });
+});
+
+describe('calculateNextVersion', () => {
+  const scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge4appstore-test-'));
+  after(() => fs.rmSync(scriptDir, { recursive: true, force: true }));
+
+  function writeScript(name, body) {
+    const script = path.join(scriptDir, name);
+    fs.writeFileSync(script, `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+    return script;
+  }
+
+  it('bumps the minor version by default', async () => {
+    assert.equal(await runWithApp({ key: 'test' }, () => calculateNextVersion('1.4', 1400)), '1.5');
+    assert.equal(await runWithApp({ key: 'test' }, () => calculateNextVersion('1.4.2', 1400)), '1.5.0');
+    assert.equal(await runWithApp({ key: 'test' }, () => calculateNextVersion('2', 1400)), '2.1');
+  });
+
+  it('bumps the major version', async () => {
+    assert.equal(await runWithApp({ key: 'test', versionBump: 'major' }, () => calculateNextVersion('1.4', 1400)), '2.0');
+    assert.equal(await runWithApp({ key: 'test', versionBump: 'MAJOR' }, () => calculateNextVersion('1.4.2', 1400)), '2.0.0');
+  });
+
+  it('bumps the patch version, adding the part if missing', async () => {
+    assert.equal(await runWithApp({ key: 'test', versionBump: 'patch' }, () => calculateNextVersion('1.4.2', 1400)), '1.4.3');
+    assert.equal(await runWithApp({ key: 'test', versionBump: 'patch' }, () => calculateNextVersion('1.4', 1400)), '1.4.1');
+  });
+
+  it('applies a forced bump instead of VERSION_BUMP and VERSION_BUMP_SCRIPT', async () => {
+    const script = writeScript('ignored.sh', 'echo 9.9');
+    const app = { key: 'test', versionBump: 'major', versionBumpScript: script };
+    assert.equal(await runWithApp(app, () => calculateNextVersion('1.4.0', 1400, { bump: 'patch' })), '1.4.1');
+  });
+
+  it('rejects an unknown bump', async () => {
+    await assert.rejects(runWithApp({ key: 'test', versionBump: 'huge' }, () => calculateNextVersion('1.4', 1400)), /Invalid VERSION_BUMP "huge"/);
+  });
+
+  it('asks VERSION_BUMP_SCRIPT instead of bumping', async () => {
+    const script = writeScript('bump.sh', 'echo "$1.$2"');
+    assert.equal(await runWithApp({ key: 'test', versionBump: 'major', versionBumpScript: script }, () => calculateNextVersion('1.4', 1400)), '1.4.1400');
+  });
+
+  it('rejects a script that prints no version', async () => {
+    const script = writeScript('bad.sh', 'echo next');
+    await assert.rejects(runWithApp({ key: 'test', versionBumpScript: script }, () => calculateNextVersion('1.4', 1400)), /printed "next", not a version/);
+  });
+
+  it('reports a failing script', async () => {
+    const script = writeScript('fail.sh', 'echo broken >&2; exit 1');
+    await assert.rejects(runWithApp({ key: 'test', versionBumpScript: script }, () => calculateNextVersion('1.4', 1400)), /failed: broken/);
+  });
+});
@@ -0,0 +1,99 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWebhookReceiver, signPayload, SIGNATURE_HEADER, tasksForEvent, verifySignature } from '../lib/webhook.js';
+
+const SECRET = 'test-secret';
+
+describe('verifySignature', () => {
+  const body = Buffer.from('{"data":{"type":"buildUploadStateUpdated"}}');
+
+  it('accepts the HMAC-SHA256 of the body, in any case', () => {
+    assert.equal(verifySignature(body, signPayload(body, SECRET), SECRET), true);
+    assert.equal(verifySignature(body, ` ${signPayload(body, SECRET).toUpperCase()} `, SECRET), true);
+  });
+
+  it('rejects other bodies, secrets and missing values', () => {
+    assert.equal(verifySignature(Buffer.from('{}'), signPayload(body, SECRET), SECRET), false);
+    assert.equal(verifySignature(body, signPayload(body, 'other'), SECRET), false);
+    assert.equal(verifySignature(body, 'hmacsha256=', SECRET), false);
+    assert.equal(verifySignature(body, undefined, SECRET), false);
+    assert.equal(verifySignature(body, signPayload(body, ''), ''), false);
+  });
+});
+
+describe('tasksForEvent', () => {
+  const event = (type, newValue) => ({ type, attributes: { newValue } });
+
+  it('deploys processed builds and builds that changed beta state', () => {
+    assert.deepEqual(tasksForEvent(event('buildUploadStateUpdated', 'COMPLETE')), ['deploy']);
+    assert.deepEqual(tasksForEvent(event('buildUploadStateUpdated', 'PROCESSING')), []);
+    assert.deepEqual(tasksForEvent(event('buildBetaDetailExternalBuildStateUpdated', 'BETA_APPROVED')), ['deploy']);
+  });
+
+  it('picks the tasks for a version state', () => {
+    assert.deepEqual(tasksForEvent(event('appStoreVersionAppVersionStateUpdated', 'READY_FOR_DISTRIBUTION')), ['sync']);
+    assert.deepEqual(tasksForEvent(event('appStoreVersionAppVersionStateUpdated', 'METADATA_REJECTED')), ['reject-check', 'deploy']);
+    assert.deepEqual(tasksForEvent(event('appStoreVersionAppVersionStateUpdated', 'WAITING_FOR_REVIEW')), ['deploy']);
+  });
+
+  it('ignores other events', () => {
+    assert.deepEqual(tasksForEvent(event('webhookPingCreated')), []);
+  });
+});
+
+describe('runWebhookReceiver', () => {
+  const port = 20000 + (process.pid % 20000);
+  const ran = [];
+  let stopped;
+
+  before(async () => {
+    Object.assign(process.env, { WEBHOOK_HOST: '127.0.0.1', WEBHOOK_PORT: String(port), WEBHOOK_DEBOUNCE: '0.2', WEBHOOK_SECRET: SECRET });
+    stopped = runWebhookReceiver([null], async (app, task) => {
+      ran.push(task);
+      return true;
+    });
+    // Wait for the receiver to listen
+    for (let attempt = 0; attempt < 50; attempt++) {
+      try {
+        await fetch(`http://127.0.0.1:${port}/health`);
+        return;
+      } catch (e) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+  });
+
+  after(async () => {
+    process.emit('SIGTERM');
+    await stopped;
+    for (const name of ['WEBHOOK_HOST', 'WEBHOOK_PORT', 'WEBHOOK_DEBOUNCE', 'WEBHOOK_SECRET']) {
+      delete process.env[name];
+    }
+  });
+
+  const post = async (data, secret = SECRET) => {
+    const body = JSON.stringify({ data });
+    const response = await fetch(`http://127.0.0.1:${port}/webhook`, {
+      method: 'POST',
+      headers: { [SIGNATURE_HEADER]: signPayload(body, secret) },
+      body,
+    });
+    return { code: response.status, ...(await response.json()) };
+  };
+
+  it('rejects notifications with a bad signature', async () => {
+    assert.equal((await post({ id: 'bad', type: 'buildUploadStateUpdated' }, 'other')).code, 401);
+  });
+
+  it('ignores redelivered events and runs a burst of tasks once, in order', async () => {
+    const upload = { id: 'event-1', type: 'buildUploadStateUpdated', attributes: { newValue: 'COMPLETE' } };
+    const rejected = { id: 'event-2', type: 'appStoreVersionAppVersionStateUpdated', attributes: { newValue: 'REJECTED' } };
+
+    assert.deepEqual(await post(upload), { code: 202, status: 'accepted', tasks: ['deploy'], scheduled: ['deploy'] });
+    assert.deepEqual(await post(upload), { code: 200, status: 'duplicate' });
+    assert.deepEqual(await post(rejected), { code: 202, status: 'accepted', tasks: ['reject-check', 'deploy'], scheduled: ['reject-check'] });
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.deepEqual(ran, ['reject-check', 'deploy']);
+  });
+});